@@ -1,9 +1,11 @@
 import { defineConfig } from 'vitepress'
+import { packageBase } from '../../../../shared/books.mjs'
 
 export default defineConfig({
   title: '第二本书',
   description: '这是第二本书的描述',
-  base: '/CoderBooks/book2/',
+  // 部署位置见 shared/books.json 中的 site（可用环境变量 SITE_BASE 覆盖）
+  base: packageBase('book2'),
   outDir: '../../../dist/book2',
   
   themeConfig: {
@@ -1,87 +1,148 @@
+import path from 'path'
+import { fileURLToPath } from 'url'
 import { defineConfig } from 'vitepress'
-import { parseAllTocs } from './utils/parseToc.js'
+import {
+  getPackage,
+  getBooks,
+  getLearningPaths,
+  displayTitle,
+  packageBase
+} from '../../../../shared/books.mjs'
+import { readAllTocs, parseAllTocs } from './utils/parseToc.js'
+import { buildBookNav } from './utils/nav.js'
+import { templateEscapePlugin } from './utils/templateEscape.js'
+import { buildPrevNext, applyPrevNext } from './utils/prevNext.js'
+import { buildCrossBookLinks, applyCrossBook } from './utils/crossBook.js'
+import {
+  resolveLearningPaths,
+  buildPathNextSteps,
+  applyPathNextSteps
+} from './utils/learningPaths.js'
+import { validateAllTocs } from './utils/validateToc.js'
+import { RECENT_DAYS } from './utils/chapterStatus.js'
+import { SITE_UNIT, unitExcludes, otherUnitLink, unitSearchIndexPlugin } from './utils/buildUnits.js'
+import {
+  createDiagnostics,
+  printDiagnostics,
+  assertDiagnostics,
+  resolveFailOn,
+  compareSeverity
+} from './utils/diagnostics.js'
 
-// 定义所有书籍模块（L4 系列：1 总 + 2N 分架构）
-const books = [
-  // L4-0: 系列总览（必读基础）
-  { name: '00-design-overview', path: '/00-design-overview/', title: 'Vue3 核心设计总览 (L4-0)', group: '系列总览', order: 0 },
-  
-  // L4-1~8: 四大核心模块（源码解析 + Mini 实现）
-  { name: '01-reactive', path: '/01-reactive/', title: 'Vue3 响应式系统源码深度解析 (L4-1)', group: '核心模块', order: 1 },
-  { name: '02-reactive-mini', path: '/02-reactive-mini/', title: '从零实现 Mini Vue Reactivity (L4-2)', group: '核心模块', order: 2 },
-  { name: '03-component', path: '/03-component/', title: 'Vue3 组件系统源码深度解析 (L4-3)', group: '核心模块', order: 3 },
-  { name: '04-component-mini', path: '/04-component-mini/', title: '从零实现 Mini Vue Component (L4-4)', group: '核心模块', order: 4 },
-  { name: '05-renderer', path: '/05-renderer/', title: 'Vue Renderer 源码深度解析 (L4-5)', group: '核心模块', order: 5 },
-  { name: '06-renderer-mini', path: '/06-renderer-mini/', title: '从零实现 Mini Vue Renderer (L4-6)', group: '核心模块', order: 6 },
-  { name: '07-compiler', path: '/07-compiler/', title: 'Vue Compiler 源码深度解析 (L4-7)', group: '核心模块', order: 7 },
-  { name: '08-compiler-mini', path: '/08-compiler-mini/', title: '从零实现 Mini Vue Compiler (L4-8)', group: '核心模块', order: 8 },
-  
-  // L4-9~14: 生态系统模块（源码解析 + Mini 实现）
-  { name: '09-router-source', path: '/09-router-source/', title: 'Vue Router 源码深度解析 (L4-9)', group: '生态模块', order: 9 },
-  { name: '10-router-mini', path: '/10-router-mini/', title: '从零实现 Mini Vue Router (L4-10)', group: '生态模块', order: 10 },
-  { name: '11-pinia-source', path: '/11-pinia-source/', title: 'Pinia 源码深度解析 (L4-11)', group: '生态模块', order: 11 },
-  { name: '12-pinia-mini', path: '/12-pinia-mini/', title: '从零实现 Mini Pinia (L4-12)', group: '生态模块', order: 12 },
-  { name: '13-ssr-source', path: '/13-ssr-source/', title: 'Vue SSR 源码深度解析 (L4-13)', group: '生态模块', order: 13 },
-  { name: '14-ssr-mini', path: '/14-ssr-mini/', title: '从零实现 Mini Vue SSR (L4-14)', group: '生态模块', order: 14 },
-]
+// 书籍模块来自共享清单 shared/books.json（L4 系列：1 总 + 2N 分）
+const series = getPackage('cs130-vue')
+const bookTitle = book => displayTitle(series, book)
+const books = getBooks('cs130-vue').map(book => ({ ...book, title: bookTitle(book) }))
+
+const docsDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..')
+const bookNames = books.map(book => book.name)
+
+// 按书籍分别构建时（scripts/build-books.js）只构建其中一个单元：一本书或站点页面，未设置时构建整个站点
+const buildUnit = process.env.CS130_BUILD_UNIT || null
+if (buildUnit && buildUnit !== SITE_UNIT && !bookNames.includes(buildUnit)) {
+  throw new Error(`CS130_BUILD_UNIT=${buildUnit} 不是书籍目录名或 ${SITE_UNIT}`)
+}
+
+// toc 诊断的失败阈值（TOC_FAIL_ON=warning|error|none，TOC_STRICT=1 等同于 warning）
+const tocFailOn = resolveFailOn()
+// 默认只逐条输出达到失败阈值的诊断，其余只计入汇总行；TOC_VERBOSE=1 逐条输出所有诊断
+const tocVerbose = ['1', 'true'].includes(process.env.TOC_VERBOSE)
+// 严格模式：计划中但缺失的章节也视为问题
+const tocStrict = tocFailOn !== null && compareSeverity(tocFailOn, 'warning') <= 0
+const tocDiagnostics = createDiagnostics()
+
+// 只构建一个单元时只报告该单元书籍的 toc 问题，其余书籍的 toc 仍用于生成 sidebar
+const checkedBooks = buildUnit ? books.filter(book => book.name === buildUnit) : books
+const otherBooks = books.filter(book => !checkedBooks.includes(book))
+
+// 每本书的 toc.md 只解析一次，以下各项共用同一棵语法树
+const tocs = new Map([
+  ...readAllTocs(otherBooks, { diagnostics: createDiagnostics() }),
+  ...readAllTocs(checkedBooks, { diagnostics: tocDiagnostics })
+])
+
+// 校验 toc.md 与实际章节文件是否一致
+validateAllTocs(checkedBooks, { diagnostics: tocDiagnostics, tocs })
 
 // 自动生成 sidebar
-const sidebarConfig = parseAllTocs(books)
+const sidebarConfig = parseAllTocs(books, { tocs })
 
-// 按分组生成导航菜单
-const overviewBooks = books.filter(b => b.group === '系列总览')
-const coreBooks = books.filter(b => b.group === '核心模块')
-const ecoBooks = books.filter(b => b.group === '生态模块')
+// 按 toc 顺序计算每一章的上一篇 / 下一篇
+const pageLinks = buildPrevNext(books, tocs)
+// 每本书的最后一章按 L4 顺序和学习路径链接到下一本书
+const learningPaths = getLearningPaths('cs130-vue')
+const crossBookLinks = buildCrossBookLinks(books, learningPaths, tocs)
+// 每个页面在各学习路径中的下一步
+const pathNextSteps = buildPathNextSteps(
+  resolveLearningPaths(books, learningPaths, { hoursPerChapter: series.hoursPerChapter, tocs })
+)
+
+printDiagnostics(tocDiagnostics, {
+  list: tocVerbose ? 'info' : tocFailOn,
+  hint: 'TOC_VERBOSE=1 逐条输出'
+})
+assertDiagnostics(tocDiagnostics, tocFailOn)
 
 export default defineConfig({
   title: 'Vue3 生态系统学习系列',
   description: '从零到精通：系统掌握 Vue3 核心原理与生态系统',
-  base: '/CoderBooks/cs130-vue/',
+  // 部署位置见 shared/books.json 中的 site（可用环境变量 SITE_BASE 覆盖）
+  base: packageBase('cs130-vue'),
   outDir: '../../../dist/cs130-vue',
   cleanUrls: true,
 
-  // 忽略死链接检查（toc.md 文件中包含尚未创建的章节链接）
-  ignoreDeadLinks: true,
+  // 非严格模式下忽略死链接检查（toc.md 文件中包含尚未创建的章节链接）
+  // 严格模式已保证 toc 链接全部有效，因此重新开启死链接检查
+  // 只构建一个单元时，指向其他单元页面的链接不是死链接
+  ignoreDeadLinks: tocStrict ? (buildUnit ? [otherUnitLink(docsDir)] : false) : true,
 
-  // 排除有 Vue 模板语法问题的目录（代码示例中的 {{ }} 会被误解析）
   srcExclude: [
     '**/.book_task/**',
     '**/.book_guide/**',
-    // 排除 compiler 模块（包含大量模板语法示例）
-    '**/07-compiler/**',
-    '**/08-compiler-mini/**',
+    ...(buildUnit ? unitExcludes(docsDir, bookNames, buildUnit) : [])
   ],
+
+  vite: {
+    // shared/components 中的组件从本 package 解析 vue
+    resolve: { dedupe: ['vue'] },
+    // 按书籍分别构建时，搜索框加载 scripts/build-books.js 合并的整站索引
+    plugins: buildUnit && process.env.CS130_SEARCH_INDEX
+      ? [unitSearchIndexPlugin({ base: packageBase('cs130-vue'), file: process.env.CS130_SEARCH_INDEX })]
+      : []
+  },
+
+  markdown: {
+    // 章节正文中的 {{ }} 和 <template> 等会被 Vue 当作模板语法，渲染前先转义
+    config(md) {
+      md.use(templateEscapePlugin)
+    }
+  },
+
+  // 将 toc 顺序的上一篇 / 下一篇、跨书导航和学习路径的下一步注入页面 frontmatter
+  transformPageData(pageData) {
+    applyCrossBook(pageData, crossBookLinks)
+    applyPrevNext(pageData, pageLinks)
+    applyPathNextSteps(pageData, pathNextSteps)
+  },
   
   themeConfig: {
     nav: [
       { text: '首页', link: '/' },
-      { 
-        text: 'L4-0 系列总览',
-        items: overviewBooks.map(book => ({
-          text: book.title,
-          link: book.path
-        }))
-      },
-      { 
-        text: 'L4-1~8 核心模块',
-        items: coreBooks.map(book => ({
-          text: book.title,
-          link: book.path
-        }))
-      },
-      {
-        text: 'L4-9~14 生态模块',
-        items: ecoBooks.map(book => ({
-          text: book.title,
-          link: book.path
-        }))
-      },
-      { text: '学习路径', link: '/learning-paths' }
+      // 按清单中的分组生成下拉菜单
+      ...buildBookNav('cs130-vue', bookTitle),
+      { text: '学习路径', link: '/learning-paths' },
+      { text: '写作进度', link: '/progress' }
     ],
 
     // 自动从 toc.md 生成的 sidebar
     sidebar: sidebarConfig,
 
+    // 「新」与「更新」徽标的有效天数，由客户端按访问日期判断
+    statusBadges: { recentDays: RECENT_DAYS },
+
+    // 按书籍分别构建时，客户端据此判断跳转目标是否在当前构建中
+    buildUnit: buildUnit ? { name: buildUnit, books: bookNames } : null,
+
     socialLinks: [
       { icon: 'github', link: 'https://github.com' }
     ],
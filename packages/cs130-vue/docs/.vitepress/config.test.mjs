@@ -0,0 +1,28 @@
+import { test, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import path from 'path'
+import { getBooks, MANIFEST_PATH } from '../../../../shared/books.mjs'
+
+test('加载配置时每个 toc.md 与书籍清单只读取一次', async () => {
+  const reads = mock.method(fs, 'readFileSync')
+  try {
+    await import('./config.js')
+  } finally {
+    reads.mock.restore()
+  }
+
+  const counts = {}
+  for (const call of reads.mock.calls) {
+    const name = path.basename(String(call.arguments[0]))
+    if (name === 'toc.md' || name === 'books.json') {
+      const file = path.relative(process.cwd(), String(call.arguments[0]))
+      counts[file] = (counts[file] || 0) + 1
+    }
+  }
+
+  const tocs = Object.keys(counts).filter(file => file.endsWith('toc.md'))
+  assert.equal(tocs.length, getBooks('cs130-vue').length)
+  assert.equal(counts[path.relative(process.cwd(), MANIFEST_PATH)], 1)
+  assert.deepEqual(Object.entries(counts).filter(([, count]) => count !== 1), [])
+})
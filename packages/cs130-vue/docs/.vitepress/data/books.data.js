@@ -0,0 +1,45 @@
+import fs from 'fs'
+import {
+  getPackage,
+  getGroups,
+  groupRange,
+  bookLabel,
+  bookTocPath
+} from '../../../../../shared/books.mjs'
+import { readToc, countChapters } from '../../../../../shared/tocParser.mjs'
+
+/**
+ * 系列首页的书籍列表数据：来自共享清单，章节数从各书 toc.md 统计
+ */
+export default {
+  watch: ['../../../../../shared/books.json', '../../*/book_zh/toc.md'],
+
+  load() {
+    const pkg = getPackage('cs130-vue')
+
+    const groups = getGroups('cs130-vue').map(group => {
+      const books = group.books.map(book => {
+        const tocPath = bookTocPath(pkg.name, book.name)
+        return {
+          ...book,
+          label: bookLabel(pkg, book),
+          chapters: fs.existsSync(tocPath) ? countChapters(readToc(tocPath)) : 0
+        }
+      })
+
+      // 分组标题带上编号范围，如 L4-1 至 L4-8：核心模块
+      const range = groupRange(pkg, group)
+      const label = range && (range.from === range.to ? range.first : `${range.first} 至 ${range.last}`)
+
+      return { ...group, heading: label ? `${label}：${group.name}` : group.name, books }
+    })
+
+    const books = groups.flatMap(group => group.books)
+
+    return {
+      groups,
+      totalBooks: books.length,
+      totalChapters: books.reduce((sum, book) => sum + book.chapters, 0)
+    }
+  }
+}
@@ -0,0 +1,18 @@
+import { getPackage, getBooks, getLearningPaths, displayTitle } from '../../../../../shared/books.mjs'
+import { resolveLearningPaths } from '../utils/learningPaths.js'
+
+/**
+ * 学习路径路线图数据：来自共享清单，章节与学时从各书 toc.md 计算
+ */
+export default {
+  watch: ['../../../../../shared/books.json', '../../*/book_zh/toc.md'],
+
+  load() {
+    const pkg = getPackage('cs130-vue')
+    const books = getBooks('cs130-vue').map(book => ({ ...book, title: displayTitle(pkg, book) }))
+
+    return resolveLearningPaths(books, getLearningPaths('cs130-vue'), {
+      hoursPerChapter: pkg.hoursPerChapter
+    }).map(({ pages, ...learningPath }) => learningPath)
+  }
+}
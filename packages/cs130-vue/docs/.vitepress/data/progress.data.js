@@ -0,0 +1,12 @@
+import { buildProgressDashboard } from '../../../../../shared/dashboard.mjs'
+
+/**
+ * 写作进度看板数据：来自各书 toc.md、章节文件和进度文件
+ */
+export default {
+  watch: ['../../../../../shared/books.json', '../../*/book_zh/**/*.md', '../../*/book_zh/*-progress.json'],
+
+  load() {
+    return buildProgressDashboard('cs130-vue')
+  }
+}
@@ -1,11 +1,12 @@
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { tokenizeToc, parseToc } from '../../../../shared/tocParser.mjs'
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url))
 
 // 测试解析单个 toc.md
-const tocPath = path.resolve(__dirname, '../../router/book_zh/toc.md')
+const tocPath = path.resolve(__dirname, '../09-router-source/book_zh/toc.md')
 console.log('Reading:', tocPath)
 console.log('File exists:', fs.existsSync(tocPath))
 
@@ -18,21 +19,17 @@ lines.slice(0, 20).forEach((line, i) => {
   console.log(`${i}: ${JSON.stringify(line)}`)
 })
 
-// 测试正则匹配
+// 测试 token 切分
 const testLines = [
   '### 第一部分：设计思想',
   '#### 2.1 响应式核心',
   '1. [前端路由发展历程](design/routing-history.md)'
 ]
 
-console.log('\n\nTesting regex:')
-testLines.forEach(line => {
-  const sectionMatch = line.match(/^###\s+(.+)/)
-  const subSectionMatch = line.match(/^####\s+(.+)/)
-  const itemMatch = line.match(/^\d+\.\s+\[(.+?)\]\((.+?)\)/)
-  
-  console.log('\nLine:', line)
-  console.log('Section match:', sectionMatch?.[1])
-  console.log('SubSection match:', subSectionMatch?.[1])
-  console.log('Item match:', itemMatch ? { text: itemMatch[1], link: itemMatch[2] } : null)
+console.log('\n\nTesting tokenizer:')
+tokenizeToc(testLines.join('\n')).forEach(token => {
+  console.log('\nToken:', token)
 })
+
+console.log('\n\nParsed tree:')
+console.log(JSON.stringify(parseToc(content, { file: tocPath }), null, 2))
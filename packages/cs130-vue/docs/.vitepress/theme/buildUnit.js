@@ -0,0 +1,27 @@
+import { inBrowser } from 'vitepress'
+import { unitOfPath } from '../utils/unitOfPath.js'
+
+/**
+ * 按书籍分别构建时（themeConfig.buildUnit 不为空），每本书与站点页面来自不同的构建，
+ * 页面数据和资源互不相通。跳转到其他单元的页面时改为整页加载，包括浏览器的前进 / 后退。
+ * @param {Object} router - VitePress router
+ * @param {Object} siteData - 站点数据（ref）
+ */
+export function setupBuildUnitNavigation(router, siteData) {
+  const unit = siteData.value.themeConfig.buildUnit
+  if (!inBrowser || !unit) return
+
+  const unitOf = (href) => {
+    const pathname = decodeURIComponent(new URL(href, location.href).pathname)
+    return unitOfPath(pathname.slice(siteData.value.base.length), unit.books)
+  }
+
+  const onBeforePageLoad = router.onBeforePageLoad
+  router.onBeforePageLoad = async (href) => {
+    if (unitOf(href) !== unit.name) {
+      location.assign(href)
+      return false
+    }
+    return onBeforePageLoad?.(href)
+  }
+}
@@ -0,0 +1,27 @@
+import { ref, onMounted } from 'vue'
+
+const STORAGE_KEY = 'cs130-vue:learning-path'
+
+// 所有组件共享同一个选择
+const selectedPath = ref(null)
+
+/**
+ * 读者选择的学习路径，保存在 localStorage 中
+ * @returns {Object} { selectedPath, selectPath }
+ */
+export function useLearningPath() {
+  onMounted(() => {
+    selectedPath.value = localStorage.getItem(STORAGE_KEY)
+  })
+
+  const selectPath = (id) => {
+    selectedPath.value = id
+    if (id) {
+      localStorage.setItem(STORAGE_KEY, id)
+    } else {
+      localStorage.removeItem(STORAGE_KEY)
+    }
+  }
+
+  return { selectedPath, selectPath }
+}
@@ -0,0 +1,23 @@
+import { h } from 'vue'
+import DefaultTheme from 'vitepress/theme'
+import NextBook from './components/NextBook.vue'
+import PathNextStep from './components/PathNextStep.vue'
+import LearningPathRoadmap from './components/LearningPathRoadmap.vue'
+import { setupBuildUnitNavigation } from './buildUnit.js'
+import { setupStatusBadges } from './statusBadges.js'
+import './style.css'
+
+export default {
+  extends: DefaultTheme,
+  Layout() {
+    return h(DefaultTheme.Layout, null, {
+      // 正文之后：所选学习路径的下一步，以及每本书最后一章的「继续阅读下一本」
+      'doc-after': () => [h(PathNextStep), h(NextBook)]
+    })
+  },
+  enhanceApp({ app, router, siteData }) {
+    app.component('LearningPathRoadmap', LearningPathRoadmap)
+    setupBuildUnitNavigation(router, siteData)
+    setupStatusBadges(siteData)
+  }
+}
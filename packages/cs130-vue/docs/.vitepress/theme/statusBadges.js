@@ -0,0 +1,19 @@
+import { inBrowser } from 'vitepress'
+
+/**
+ * sidebar 中「新」与「更新」徽标带有完成或更新的日期（data-date，见 utils/chapterStatus.js），默认隐藏。
+ * 这里按访问时的日期生成样式，只显示最近 recentDays 天内的徽标；样式不依赖 DOM，sidebar 重新渲染后依然有效。
+ * @param {Object} siteData - 站点数据（ref）
+ */
+export function setupStatusBadges(siteData) {
+  const recentDays = siteData.value.themeConfig.statusBadges?.recentDays
+  if (!inBrowser || !recentDays) return
+
+  const day = 24 * 60 * 60 * 1000
+  const selectors = Array.from({ length: recentDays + 1 }, (_, index) =>
+    `.VPSidebarItem .toc-badge[data-date="${new Date(Date.now() - index * day).toISOString().slice(0, 10)}"]`
+  )
+  const style = document.createElement('style')
+  style.textContent = `${selectors.join(',\n')} { display: inline-block; }`
+  document.head.appendChild(style)
+}
@@ -0,0 +1,135 @@
+import fs from 'fs'
+import path from 'path'
+import { unitOfPath } from './unitOfPath.js'
+
+/**
+ * 构建单元：cs130-vue 可以按书籍分别构建（scripts/build-books.js）
+ *   每本书是一个单元，只包含 docs/<book>/ 下的页面
+ *   站点单元 SITE_UNIT 包含其余页面（首页、guide/、学习路径、写作进度等）
+ * 所有单元使用相同的 base 与 sidebar，分别构建后合并到同一个输出目录。
+ * 单元之间的页面来自不同的构建，相互跳转时整页加载（见 theme/buildUnit.js）。
+ */
+
+export { SITE_UNIT, unitOfPath } from './unitOfPath.js'
+
+/**
+ * 构建单个单元时需要排除的页面（VitePress 的 srcExclude）
+ * @param {string} docsDir - docs 目录
+ * @param {Array<string>} bookNames - 所有书籍目录名
+ * @param {string} unit - 书籍目录名或 SITE_UNIT
+ * @returns {Array<string>}
+ */
+export function unitExcludes(docsDir, bookNames, unit) {
+  return fs.readdirSync(docsDir, { withFileTypes: true })
+    .filter(entry => !entry.name.startsWith('.') && entry.name !== 'public')
+    .filter(entry => unitOfPath(entry.name, bookNames) !== unit)
+    .map(entry => entry.isDirectory() ? `${entry.name}/**` : entry.name)
+}
+
+/**
+ * 死链接检查中应忽略的链接：目标页面存在，只是属于其他构建单元
+ * @param {string} docsDir - docs 目录
+ * @returns {Function} (url, file) => boolean，供 ignoreDeadLinks 使用
+ */
+export function otherUnitLink(docsDir) {
+  return (url, file) => {
+    const target = url.replace(/[?#].*$/, '').replace(/\.(html|md)$/, '').replace(/\/$/, '/index')
+    const resolved = target.startsWith('/')
+      ? path.join(docsDir, target)
+      : path.resolve(path.dirname(file), target)
+    return fs.existsSync(`${resolved}.md`)
+  }
+}
+
+/**
+ * 按书籍分别构建时的本地搜索：VitePress 只为当前单元的页面建立索引，
+ * 这里把该单元的索引写入 file（{ 语言: 索引 }），由 scripts/build-books.js 合并为整站索引，
+ * 并让搜索框从 <base>search-index.<语言>.json 加载合并后的索引。各单元生成的代码相同，不随内容变化。
+ * /@localSearchIndex 是 VitePress 的内部模块，package.json 中的 vitepress 因此固定为确切版本，升级时运行 buildUnits.test.mjs。
+ * @param {Object} options - { base: 站点 base 路径, file: 写入本单元索引的文件 }
+ * @returns {Object} Vite 插件
+ */
+export function unitSearchIndexPlugin({ base, file }) {
+  const INDEX_ID = '/@localSearchIndex'
+
+  return {
+    name: 'cs130:unit-search-index',
+    async transform(code, id) {
+      if (id !== INDEX_ID) return
+
+      // VitePress 生成的代码：export default {"root": () => import('@localSearchIndexroot')}
+      const locales = [...code.matchAll(/("[^"]*"): \(\) => import\(/g)].map(match => JSON.parse(match[1]))
+      const indexes = {}
+      for (const locale of locales) {
+        const { code: localeCode } = await this.load({ id: INDEX_ID + locale })
+        indexes[locale] = JSON.parse(JSON.parse(localeCode.replace(/^export default /, '')))
+      }
+      fs.mkdirSync(path.dirname(file), { recursive: true })
+      fs.writeFileSync(file, JSON.stringify(indexes))
+
+      const entries = locales.map(locale => `${JSON.stringify(locale)}: load(${JSON.stringify(locale)})`)
+      return [
+        `const load = locale => () => fetch(${JSON.stringify(base)} + 'search-index.' + locale + '.json')`,
+        '  .then(res => res.text())',
+        '  .then(text => ({ default: text }))',
+        `export default {${entries.join(',')}}`
+      ].join('\n')
+    }
+  }
+}
+
+/**
+ * 合并 MiniSearch 序列化的索引（toJSON 的结果，字段配置相同）
+ *   文档的内部编号依次偏移，词项的出现记录按新编号合并，平均字段长度按文档数加权
+ * @param {Array<Object>} indexes - 各单元的索引
+ * @returns {Object} 合并后的索引，可直接用 MiniSearch.loadJSON 加载
+ */
+export function mergeSearchIndexes(indexes) {
+  const merged = {
+    documentCount: 0,
+    nextId: 0,
+    documentIds: {},
+    fieldIds: indexes[0]?.fieldIds || {},
+    fieldLength: {},
+    averageFieldLength: [],
+    storedFields: {},
+    dirtCount: 0,
+    index: [],
+    serializationVersion: 2
+  }
+  const terms = new Map()
+  const lengthSums = []
+
+  for (const index of indexes) {
+    if (index.serializationVersion !== 2) {
+      throw new Error(`不支持的搜索索引版本：${index.serializationVersion}`)
+    }
+    const offset = merged.nextId
+    const shift = (object) => Object.fromEntries(
+      Object.entries(object).map(([shortId, value]) => [Number(shortId) + offset, value])
+    )
+
+    Object.assign(merged.documentIds, shift(index.documentIds))
+    Object.assign(merged.fieldLength, shift(index.fieldLength))
+    Object.assign(merged.storedFields, shift(index.storedFields))
+    index.averageFieldLength.forEach((length, fieldId) => {
+      lengthSums[fieldId] = (lengthSums[fieldId] || 0) + length * index.documentCount
+    })
+
+    for (const [term, fields] of index.index) {
+      const data = terms.get(term) || {}
+      for (const [fieldId, freqs] of Object.entries(fields)) {
+        data[fieldId] = { ...data[fieldId], ...shift(freqs) }
+      }
+      terms.set(term, data)
+    }
+
+    merged.documentCount += index.documentCount
+    merged.nextId += index.nextId
+    merged.dirtCount += index.dirtCount || 0
+  }
+
+  merged.averageFieldLength = Array.from(lengthSums, (sum = 0) => merged.documentCount ? sum / merged.documentCount : 0)
+  merged.index = [...terms]
+  return merged
+}
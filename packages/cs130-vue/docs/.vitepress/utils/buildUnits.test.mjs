@@ -0,0 +1,112 @@
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import MiniSearch from 'minisearch'
+import { SITE_UNIT, unitOfPath, unitSearchIndexPlugin, mergeSearchIndexes } from './buildUnits.js'
+
+// 与 VitePress 本地搜索相同的 MiniSearch 配置
+const options = { fields: ['title', 'titles', 'text'], storeFields: ['title', 'titles'] }
+
+const units = {
+  '01-reactive': [
+    { id: '/cs130-vue/01-reactive/', title: '响应式系统', titles: [], text: 'reactive 与 effect 的依赖收集' },
+    { id: '/cs130-vue/01-reactive/ref.html#unref', title: 'unref', titles: ['ref 的实现'], text: 'ref 包装基本类型，unref 取出内部的值' }
+  ],
+  '02-runtime': [
+    { id: '/cs130-vue/02-runtime/', title: '运行时', titles: [], text: '渲染器与组件实例' },
+    { id: '/cs130-vue/02-runtime/scheduler.html', title: '调度器', titles: ['运行时'], text: 'nextTick 与 effect 的批量更新' },
+    { id: '/cs130-vue/02-runtime/props.html', title: 'props', titles: [], text: 'props 的校验与默认值' }
+  ]
+}
+
+// 单元的索引写入文件后再读出，与 scripts/build-books.js 合并时的输入相同
+function serialize(documents) {
+  const index = new MiniSearch(options)
+  index.addAll(documents)
+  return JSON.parse(JSON.stringify(index))
+}
+
+const ids = (results) => results.map(result => result.id).sort()
+
+let tempDir
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'build-units-'))
+})
+
+afterEach(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true })
+})
+
+test('书籍目录下的页面属于该书的单元，其余页面属于站点单元', () => {
+  const books = ['01-reactive', '02-runtime']
+  assert.equal(unitOfPath('01-reactive/book_zh/index.md', books), '01-reactive')
+  assert.equal(unitOfPath('/02-runtime/book_zh/a.md', books), '02-runtime')
+  assert.equal(unitOfPath('guide/intro.md', books), SITE_UNIT)
+  assert.equal(unitOfPath('index.md', books), SITE_UNIT)
+})
+
+test('合并后的索引包含所有单元的文档，字段长度与整体建立的索引相同', () => {
+  const all = Object.values(units).flat()
+  const merged = mergeSearchIndexes(Object.values(units).map(serialize))
+  const expected = serialize(all)
+
+  assert.equal(merged.documentCount, all.length)
+  assert.equal(merged.nextId, all.length)
+  assert.deepEqual(Object.values(merged.documentIds), all.map(document => document.id))
+  assert.deepEqual(merged.fieldIds, expected.fieldIds)
+  assert.deepEqual(merged.fieldLength, expected.fieldLength)
+  assert.deepEqual(merged.storedFields, expected.storedFields)
+  merged.averageFieldLength.forEach((length, fieldId) => {
+    assert.ok(Math.abs(length - expected.averageFieldLength[fieldId]) < 1e-9)
+  })
+})
+
+test('加载合并后的索引可以搜索到不同单元的页面，结果与整体建立的索引一致', () => {
+  const merged = MiniSearch.loadJSON(JSON.stringify(mergeSearchIndexes(Object.values(units).map(serialize))), options)
+  const whole = new MiniSearch(options)
+  whole.addAll(Object.values(units).flat())
+
+  const results = merged.search('effect')
+  assert.deepEqual(ids(results), ['/cs130-vue/01-reactive/', '/cs130-vue/02-runtime/scheduler.html'])
+  assert.deepEqual(results.map(result => [result.id, result.score]), whole.search('effect').map(result => [result.id, result.score]))
+  assert.equal(results.find(result => result.id.includes('scheduler')).title, '调度器')
+
+  assert.deepEqual(ids(merged.search('unref')), ['/cs130-vue/01-reactive/ref.html#unref'])
+  assert.deepEqual(ids(merged.search('props')), ['/cs130-vue/02-runtime/props.html'])
+})
+
+test('不支持其他版本的索引格式', () => {
+  assert.throws(() => mergeSearchIndexes([{ ...serialize(units['01-reactive']), serializationVersion: 1 }]), /索引版本：1/)
+  assert.equal(mergeSearchIndexes([]).documentCount, 0)
+})
+
+test('写出本单元的索引，搜索框改为从 base 下加载合并后的索引', async () => {
+  const file = path.join(tempDir, 'units/01-reactive/search-index.json')
+  const plugin = unitSearchIndexPlugin({ base: '/cs130-vue/', file })
+  const index = serialize(units['01-reactive'])
+
+  // VitePress 本地搜索插件生成的模块
+  const modules = {
+    '/@localSearchIndex': `export default {"root": () => import('@localSearchIndexroot')}`,
+    '/@localSearchIndexroot': `export default ${JSON.stringify(JSON.stringify(index))}`
+  }
+  const context = { load: async ({ id }) => ({ code: modules[id] }) }
+
+  assert.equal(await plugin.transform.call(context, 'export default {}', '/src/index.js'), undefined)
+  const code = await plugin.transform.call(context, modules['/@localSearchIndex'], '/@localSearchIndex')
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf-8')), { root: index })
+
+  // 生成的模块只依赖 fetch，按 { 语言: () => Promise<{ default: 索引文本 }> } 导出
+  const requests = []
+  const fetch = async (url) => {
+    requests.push(url)
+    return { text: async () => 'merged' }
+  }
+  const exported = new Function('fetch', `${code.replace('export default', 'return')}`)(fetch)
+  assert.deepEqual(Object.keys(exported), ['root'])
+  assert.deepEqual(await exported.root(), { default: 'merged' })
+  assert.deepEqual(requests, ['/cs130-vue/search-index.root.json'])
+})
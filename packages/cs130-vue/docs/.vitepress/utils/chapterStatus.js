@@ -0,0 +1,123 @@
+import fs from 'fs'
+import path from 'path'
+import { parseTocFrontMatter } from '../../../../../shared/tocParser.mjs'
+import { progressPath } from './progress.js'
+
+/**
+ * 章节状态，显示为 sidebar 中的徽标
+ *   planned  toc 中已规划、文件尚未创建（sidebar 中不可点击）
+ *   draft    frontmatter 中 draft: true，或在进度文件中仍待写 / 正在写作（如重新打开的章节）
+ *   new      最近 RECENT_DAYS 天内首次完成
+ *   updated  最近 RECENT_DAYS 天内重新打开后再次完成，或 frontmatter 的 updated 日期在此期间内
+ * 章节 frontmatter 中的 status 字段优先于以上规则。
+ * new 与 updated 取决于访问时的日期：构建产物中只记录完成或更新的日期，由客户端判断是否仍在
+ * RECENT_DAYS 天内（见 theme/statusBadges.js），跳过或命中缓存的构建不会留下过期的徽标。
+ */
+
+export const CHAPTER_STATUSES = ['planned', 'draft', 'new', 'updated']
+
+// 「新」与「更新」的有效天数
+export const RECENT_DAYS = 30
+
+// 徽标文字与 VPBadge 的类型
+export const STATUS_BADGES = {
+  planned: { text: '计划中', type: 'info' },
+  draft: { text: '草稿', type: 'warning' },
+  new: { text: '新', type: 'tip' },
+  updated: { text: '更新', type: 'tip' }
+}
+
+/**
+ * 读取章节文件的 frontmatter（只读取文件开头的 --- 块）
+ * @param {string} file - 章节文件路径
+ * @returns {Object} frontmatter
+ */
+function readFrontMatter(file) {
+  const source = fs.readFileSync(file, 'utf-8')
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---/)
+  return match ? parseTocFrontMatter(match[1].split(/\r?\n/)) : {}
+}
+
+/**
+ * 日期转换为 YYYY-MM-DD（UTC），无法解析时返回 null
+ * @param {string} date
+ * @returns {string|null}
+ */
+function toDay(date) {
+  const time = Date.parse(date)
+  return Number.isNaN(time) ? null : new Date(time).toISOString().slice(0, 10)
+}
+
+/**
+ * 从进度文件的 history 中找出每个章节最近一次完成的情况
+ * @param {Array} history - 进度文件的 history
+ * @returns {Map} 章节 -> { date: 最近一次完成的日期, reopened: 此前是否重新打开过 }
+ */
+function completionHistory(history = []) {
+  const completions = new Map()
+  const reopened = new Set()
+
+  for (const entry of history) {
+    if (!entry.target) continue
+    if (entry.action === 'reopened') reopened.add(entry.target)
+    if (entry.action === 'completed') {
+      completions.set(entry.target, { date: entry.date, reopened: reopened.has(entry.target) })
+    }
+  }
+
+  return completions
+}
+
+/**
+ * 创建单本书的章节状态查询函数
+ *   new / updated 总是带上日期（最近一次完成与 frontmatter 的 updated 中较晚的一个），是否显示由客户端决定
+ * @param {string} docsDir - docs 目录
+ * @param {string} bookName - 书籍目录名
+ * @returns {Function} (target) => { status, date: YYYY-MM-DD | null } | null
+ */
+export function createStatusResolver(docsDir, bookName) {
+  const bookDir = path.join(docsDir, bookName, 'book_zh')
+  const progressFile = progressPath(docsDir, bookName)
+  const progress = fs.existsSync(progressFile) ? JSON.parse(fs.readFileSync(progressFile, 'utf-8')) : null
+
+  const tasks = progress?.tasks || {}
+  const pending = new Set([...(tasks.tasks_todo || []), ...Object.keys(tasks.claims || {}), tasks.task_in_progress].filter(Boolean))
+  const completions = completionHistory(progress?.history)
+
+  return (target) => {
+    if (!target || /^[a-z]+:/i.test(target) || target.startsWith('/')) return null
+
+    const file = path.join(bookDir, target)
+    if (!fs.existsSync(file)) return { status: 'planned', date: null }
+
+    const frontMatter = readFrontMatter(file)
+    if (CHAPTER_STATUSES.includes(frontMatter.status)) {
+      return { status: frontMatter.status, date: null }
+    }
+    if (frontMatter.draft === 'true' || pending.has(target)) return { status: 'draft', date: null }
+
+    const completion = completions.get(target)
+    const completed = completion && toDay(completion.date)
+    const updated = frontMatter.updated && toDay(frontMatter.updated)
+    if (completed && (!updated || completed >= updated)) {
+      return { status: completion.reopened ? 'updated' : 'new', date: completed }
+    }
+    if (updated) return { status: 'updated', date: updated }
+
+    return null
+  }
+}
+
+/**
+ * 带状态徽标的 sidebar 文本（sidebar 文本按 HTML 渲染）
+ *   带日期的徽标默认隐藏，客户端只显示日期在 RECENT_DAYS 天内的
+ * @param {string} text - 章节标题
+ * @param {Object|null} status - createStatusResolver 的结果
+ * @returns {string}
+ */
+export function withStatusBadge(text, status) {
+  const badge = STATUS_BADGES[status?.status]
+  if (!badge) return text
+  const date = status.date ? ` data-date="${status.date}"` : ''
+  return `${text} <span class="VPBadge ${badge.type} toc-badge"${date}>${badge.text}</span>`
+}
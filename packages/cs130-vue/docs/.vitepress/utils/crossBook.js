@@ -0,0 +1,79 @@
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { readAllTocs } from './parseToc.js'
+import { bookPages } from './prevNext.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+
+/**
+ * 跨书导航中对一本书的引用
+ * @param {Object} module - 模块配置 {name, path, title}
+ * @returns {Object} { name, title, link }
+ */
+function bookRef(module) {
+  return { name: module.name, title: module.title || module.name, link: module.path }
+}
+
+/**
+ * 计算跨书导航：每本书的最后一页链接到下一本书
+ *   默认的下一本按 order 排列；另外列出包含本书的每条学习路径中的下一本
+ * @param {Array} modules - 模块配置数组 [{name, path, title, order}]
+ * @param {Array} learningPaths - 学习路径 [{id, title, books: [书籍目录名]}]
+ * @param {Map} tocs - readAllTocs 的结果，未提供时从文件读取
+ * @returns {Map} 页面路径 -> { next: {text, link}, crossBook: { next, paths } }
+ */
+export function buildCrossBookLinks(modules, learningPaths = [], tocs = readAllTocs(modules)) {
+  // __dirname 是 .vitepress/utils/，所以 ../../ 是 docs/
+  const docsDir = path.resolve(__dirname, '../../')
+  const ordered = [...modules].sort((a, b) => a.order - b.order)
+  const byName = new Map(ordered.map(module => [module.name, module]))
+  const links = new Map()
+
+  ordered.forEach((module, index) => {
+    const tree = tocs.get(module.name)
+    if (!tree) return
+
+    const nextBook = ordered[index + 1] || null
+    const paths = learningPaths
+      .map(learningPath => {
+        const position = learningPath.books.indexOf(module.name)
+        const name = position === -1 ? null : learningPath.books[position + 1]
+        return name && byName.has(name)
+          ? { id: learningPath.id, title: learningPath.title, next: bookRef(byName.get(name)) }
+          : null
+      })
+      .filter(Boolean)
+
+    if (!nextBook && !paths.length) return
+
+    const pages = bookPages(module, tree, docsDir)
+    const last = pages[pages.length - 1]
+    const fallback = nextBook || byName.get(paths[0].next.name)
+
+    links.set(last.page, {
+      next: { text: `下一本：${fallback.title}`, link: fallback.path },
+      crossBook: {
+        current: bookRef(module),
+        next: nextBook ? bookRef(nextBook) : null,
+        paths
+      }
+    })
+  })
+
+  return links
+}
+
+/**
+ * 将跨书导航写入每本书最后一页的 frontmatter（需在 applyPrevNext 之前调用），
+ * 页面自己声明的 next / crossBook 优先
+ * @param {Object} pageData - VitePress 页面数据
+ * @param {Map} links - buildCrossBookLinks 的结果
+ */
+export function applyCrossBook(pageData, links) {
+  const value = links.get(pageData.relativePath)
+  if (!value) return
+
+  const { frontmatter } = pageData
+  if (frontmatter.next === undefined) frontmatter.next = value.next
+  if (frontmatter.crossBook === undefined) frontmatter.crossBook = value.crossBook
+}
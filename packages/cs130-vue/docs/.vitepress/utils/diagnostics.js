@@ -0,0 +1,119 @@
+import path from 'path'
+
+// 严重级别由低到高
+export const SEVERITIES = ['info', 'warning', 'error']
+
+/**
+ * 创建诊断信息收集器
+ * @returns {Object} { items, report, info, warn, error, count }
+ */
+export function createDiagnostics() {
+  const items = []
+
+  /**
+   * 记录一条诊断
+   * @param {string} severity - 'info' | 'warning' | 'error'
+   * @param {string} code - 诊断代码，如 'missing-link'
+   * @param {string} message - 诊断说明
+   * @param {Object} location - { file, line, column }
+   */
+  const report = (severity, code, message, { file = null, line = 1, column = 1 } = {}) => {
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Unknown diagnostic severity: ${severity}`)
+    }
+    items.push({ severity, code, message, file, line, column })
+  }
+
+  return {
+    items,
+    report,
+    info: (code, message, location) => report('info', code, message, location),
+    warn: (code, message, location) => report('warning', code, message, location),
+    error: (code, message, location) => report('error', code, message, location),
+    // 统计不低于指定级别的诊断数量
+    count: (severity = 'info') => items.filter(d => compareSeverity(d.severity, severity) >= 0).length
+  }
+}
+
+/**
+ * 比较两个严重级别
+ * @returns {number} a 高于 b 时为正数
+ */
+export function compareSeverity(a, b) {
+  return SEVERITIES.indexOf(a) - SEVERITIES.indexOf(b)
+}
+
+/**
+ * 格式化为 file:line:col: severity: message [code]
+ * @param {Object} diagnostic - 诊断信息
+ * @param {string} cwd - 文件路径相对的目录
+ * @returns {string}
+ */
+export function formatDiagnostic({ severity, code, message, file, line, column }, cwd = process.cwd()) {
+  const location = file ? `${path.relative(cwd, file)}:${line}:${column}` : '<unknown>'
+  return `${location}: ${severity}: ${message} [${code}]`
+}
+
+/**
+ * 输出诊断信息：不低于 list 级别的逐条输出，其余只计入最后的汇总行
+ * @param {Object} diagnostics - createDiagnostics 返回的收集器
+ * @param {Object} options - {
+ *   cwd, verbose: 逐条输出所有诊断（等同于 list: 'info'），
+ *   list: 逐条输出的最低级别，默认 warning，为 null 时只输出汇总行，
+ *   label: 汇总行的前缀, hint: 有诊断未逐条输出时附在汇总行后的提示
+ * }
+ */
+export function printDiagnostics(diagnostics, {
+  cwd = process.cwd(),
+  verbose = false,
+  list = verbose ? 'info' : 'warning',
+  label = 'toc',
+  hint = null
+} = {}) {
+  const listed = list ? diagnostics.items.filter(d => compareSeverity(d.severity, list) >= 0) : []
+  for (const d of listed) {
+    const log = d.severity === 'error' ? console.error : console.warn
+    log(formatDiagnostic(d, cwd))
+  }
+
+  const [infos, warnings, errors] = SEVERITIES.map(
+    severity => diagnostics.items.filter(d => d.severity === severity).length
+  )
+  const total = infos + warnings + errors
+  if (total > 0) {
+    const suffix = hint && listed.length < total ? `（${hint}）` : ''
+    console.warn(`${label}: ${errors} error(s), ${warnings} warning(s), ${infos} info${suffix}`)
+  }
+}
+
+/**
+ * 存在不低于阈值的诊断时抛出错误（用于使 vitepress build 失败）
+ * @param {Object} diagnostics - createDiagnostics 返回的收集器
+ * @param {string|null} failOn - 'info' | 'warning' | 'error'，为 null 时从不失败
+ */
+export function assertDiagnostics(diagnostics, failOn) {
+  if (!failOn) return
+
+  const count = diagnostics.count(failOn)
+  if (count > 0) {
+    throw new Error(`toc 诊断失败：${count} 个 ${failOn} 及以上级别的问题`)
+  }
+}
+
+/**
+ * 从环境变量读取失败阈值
+ *   TOC_FAIL_ON=warning|error|none，默认 error
+ *   TOC_STRICT=1 等同于 TOC_FAIL_ON=warning
+ * @param {Object} env - 环境变量
+ * @returns {string|null}
+ */
+export function resolveFailOn(env = process.env) {
+  if (['1', 'true'].includes(env.TOC_STRICT)) return 'warning'
+
+  const failOn = env.TOC_FAIL_ON || 'error'
+  if (failOn === 'none') return null
+  if (!SEVERITIES.includes(failOn)) {
+    throw new Error(`TOC_FAIL_ON 只能是 ${SEVERITIES.join('、')} 或 none，当前为 ${failOn}`)
+  }
+  return failOn
+}
@@ -0,0 +1,83 @@
+import { test, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  createDiagnostics,
+  formatDiagnostic,
+  printDiagnostics,
+  assertDiagnostics,
+  resolveFailOn
+} from './diagnostics.js'
+
+// 捕获 printDiagnostics 的输出
+function capture(fn) {
+  const lines = []
+  mock.method(console, 'warn', line => lines.push(line))
+  mock.method(console, 'error', line => lines.push(line))
+  try {
+    fn()
+  } finally {
+    mock.restoreAll()
+  }
+  return lines
+}
+
+function sample() {
+  const diagnostics = createDiagnostics()
+  diagnostics.info('orphan-file', '未被 toc 引用', { file: '/book/a.md' })
+  diagnostics.warn('missing-file', '文件不存在', { file: '/book/toc.md', line: 3, column: 5 })
+  diagnostics.error('duplicate-link', '重复链接', { file: '/book/toc.md', line: 7, column: 1 })
+  return diagnostics
+}
+
+test('按级别统计诊断，未知的级别报错', () => {
+  const diagnostics = sample()
+  assert.deepEqual([diagnostics.count(), diagnostics.count('warning'), diagnostics.count('error')], [3, 2, 1])
+  assert.throws(() => diagnostics.report('fatal', 'x', 'x'), /fatal/)
+})
+
+test('格式化为 文件:行:列', () => {
+  const [, warning] = sample().items
+  assert.equal(formatDiagnostic(warning, '/book'), `toc.md:3:5: warning: 文件不存在 [missing-file]`)
+  assert.equal(formatDiagnostic({ ...warning, file: null }), '<unknown>: warning: 文件不存在 [missing-file]')
+})
+
+test('默认逐条输出 warning 与 error，info 只计入汇总行', () => {
+  const lines = capture(() => printDiagnostics(sample(), { cwd: '/book' }))
+  assert.deepEqual(lines, [
+    'toc.md:3:5: warning: 文件不存在 [missing-file]',
+    'toc.md:7:1: error: 重复链接 [duplicate-link]',
+    'toc: 1 error(s), 1 warning(s), 1 info'
+  ])
+})
+
+test('list 控制逐条输出的级别，有诊断未输出时汇总行附带提示', () => {
+  const cwd = '/book'
+  const summary = capture(() => printDiagnostics(sample(), { cwd, list: null, label: 'lint', hint: '加 --verbose' }))
+  assert.deepEqual(summary, ['lint: 1 error(s), 1 warning(s), 1 info（加 --verbose）'])
+
+  const errors = capture(() => printDiagnostics(sample(), { cwd, list: 'error', hint: '加 --verbose' }))
+  assert.equal(errors.length, 2)
+
+  const all = capture(() => printDiagnostics(sample(), { cwd, verbose: true, hint: '加 --verbose' }))
+  assert.deepEqual(all.slice(0, 1), ['a.md:1:1: info: 未被 toc 引用 [orphan-file]'])
+  assert.equal(all.at(-1), 'toc: 1 error(s), 1 warning(s), 1 info')
+
+  assert.deepEqual(capture(() => printDiagnostics(createDiagnostics())), [])
+})
+
+test('存在不低于阈值的诊断时抛出错误', () => {
+  const diagnostics = createDiagnostics()
+  diagnostics.warn('missing-file', '文件不存在')
+
+  assert.doesNotThrow(() => assertDiagnostics(diagnostics, 'error'))
+  assert.doesNotThrow(() => assertDiagnostics(diagnostics, null))
+  assert.throws(() => assertDiagnostics(diagnostics, 'warning'), /1 个 warning/)
+})
+
+test('从环境变量读取失败阈值', () => {
+  assert.equal(resolveFailOn({}), 'error')
+  assert.equal(resolveFailOn({ TOC_FAIL_ON: 'none' }), null)
+  assert.equal(resolveFailOn({ TOC_FAIL_ON: 'info' }), 'info')
+  assert.equal(resolveFailOn({ TOC_STRICT: '1', TOC_FAIL_ON: 'none' }), 'warning')
+  assert.throws(() => resolveFailOn({ TOC_FAIL_ON: 'fatal' }), /TOC_FAIL_ON/)
+})
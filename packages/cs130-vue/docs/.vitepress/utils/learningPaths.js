@@ -0,0 +1,98 @@
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { countChapters } from '../../../../../shared/tocParser.mjs'
+import { readAllTocs } from './parseToc.js'
+import { bookPages, chapterPagePath } from './prevNext.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+
+/**
+ * 解析学习路径：把每一步的书籍和章节展开为具体页面，并估算学时
+ * @param {Array} modules - 模块配置数组 [{name, path, title}]
+ * @param {Array} learningPaths - getLearningPaths 返回的学习路径
+ * @param {Object} options - { hoursPerChapter: 每章预计学时, tocs: readAllTocs 的结果，未提供时从文件读取 }
+ * @returns {Array} [{id, title, ..., duration, outcomes, chapterCount, hours, steps, pages}]
+ */
+export function resolveLearningPaths(modules, learningPaths, { hoursPerChapter = 1, tocs = readAllTocs(modules) } = {}) {
+  // __dirname 是 .vitepress/utils/，所以 ../../ 是 docs/
+  const docsDir = path.resolve(__dirname, '../../')
+  const byName = new Map(modules.map(module => [module.name, module]))
+
+  return learningPaths.map(learningPath => {
+    const steps = learningPath.steps.map(step => {
+      const module = byName.get(step.book)
+      const tree = tocs.get(module.name) || null
+      let pages = tree ? bookPages(module, tree, docsDir) : []
+
+      // 只选取部分章节时，按路径中声明的顺序排列（书籍介绍页始终在最前）
+      if (step.chapters) {
+        const byPage = new Map(pages.map(page => [page.page, page]))
+        pages = [
+          ...pages.slice(0, 1),
+          ...step.chapters
+            .map(target => byPage.get(chapterPagePath(module, target)))
+            .filter(Boolean)
+        ]
+      }
+
+      const chapters = step.chapters ? step.chapters.length : tree ? countChapters(tree) : 0
+
+      return {
+        book: { name: module.name, title: module.title || module.name, link: module.path },
+        // 只有显式选取的章节才在路线图中逐条列出
+        chapters: step.chapters ? pages.slice(1).map(({ text, link }) => ({ text, link })) : null,
+        chapterCount: chapters,
+        hours: Math.round(chapters * hoursPerChapter),
+        start: pages[1] ? { text: pages[1].text, link: pages[1].link } : null,
+        pages
+      }
+    })
+
+    return {
+      id: learningPath.id,
+      title: learningPath.title,
+      audience: learningPath.audience || '',
+      goal: learningPath.goal || '',
+      prerequisites: learningPath.prerequisites || [],
+      duration: learningPath.duration || '',
+      outcomes: learningPath.outcomes || [],
+      chapterCount: steps.reduce((sum, step) => sum + step.chapterCount, 0),
+      hours: learningPath.hours ?? steps.reduce((sum, step) => sum + step.hours, 0),
+      steps: steps.map(({ pages, ...step }) => step),
+      pages: steps.flatMap(step => step.pages)
+    }
+  })
+}
+
+/**
+ * 计算每个页面在各学习路径中的「下一步」
+ * @param {Array} resolvedPaths - resolveLearningPaths 的结果
+ * @returns {Map} 页面路径 -> { [路径 id]: { text, link } }
+ */
+export function buildPathNextSteps(resolvedPaths) {
+  const nextSteps = new Map()
+
+  for (const learningPath of resolvedPaths) {
+    learningPath.pages.forEach(({ page }, index) => {
+      const next = learningPath.pages[index + 1]
+      if (!next) return
+
+      if (!nextSteps.has(page)) nextSteps.set(page, {})
+      nextSteps.get(page)[learningPath.id] = { text: next.text, link: next.link }
+    })
+  }
+
+  return nextSteps
+}
+
+/**
+ * 将各学习路径的下一步写入页面 frontmatter（learningPathNext），页面自己声明的优先
+ * @param {Object} pageData - VitePress 页面数据
+ * @param {Map} nextSteps - buildPathNextSteps 的结果
+ */
+export function applyPathNextSteps(pageData, nextSteps) {
+  const value = nextSteps.get(pageData.relativePath)
+  if (value && pageData.frontmatter.learningPathNext === undefined) {
+    pageData.frontmatter.learningPathNext = value
+  }
+}
@@ -0,0 +1,66 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { loadManifest, getBooks, getLearningPaths, MANIFEST_PATH } from '../../../../../shared/books.mjs'
+import { resolveLearningPaths, buildPathNextSteps } from './learningPaths.js'
+
+// 使用真实的清单与各书 toc.md
+const resolved = resolveLearningPaths(getBooks('cs130-vue'), getLearningPaths('cs130-vue'), { hoursPerChapter: 1.5 })
+const byId = Object.fromEntries(resolved.map(learningPath => [learningPath.id, learningPath]))
+
+test('每条路径带有预计时长与学习成果', () => {
+  for (const learningPath of resolved) {
+    assert.match(learningPath.duration, /周/, learningPath.id)
+    assert.ok(learningPath.outcomes.length > 0, learningPath.id)
+  }
+  assert.deepEqual(byId.A.outcomes, ['建立 Vue3 生态系统的全局视野', '理解各模块的设计理念与权衡', '为深入学习做好准备'])
+})
+
+test('选取部分章节的步骤按声明顺序列出章节，只计入这些章节的学时', () => {
+  const step = byId.D.steps.find(item => item.book.name === '03-component')
+  assert.equal(step.chapterCount, 8)
+  assert.equal(step.hours, 12)
+  assert.deepEqual(step.chapters.slice(0, 3), [
+    { text: '核心概念：组件生命周期', link: '/03-component/book_zh/design/core-concept-lifecycle' },
+    { text: 'Props 设计思想', link: '/03-component/book_zh/design/props-design' },
+    { text: 'Emits 事件设计', link: '/03-component/book_zh/design/emits-design' }
+  ])
+  assert.deepEqual(step.start, step.chapters[0])
+
+  // 整本书的步骤不逐条列出章节
+  assert.equal(byId.C.steps.find(item => item.book.name === '03-component').chapters, null)
+})
+
+test('下一步在章节之间移动，选读的最后一章之后进入下一本书', () => {
+  const nextSteps = buildPathNextSteps(resolved)
+  const next = (page) => nextSteps.get(`03-component/book_zh/design/${page}.md`) || {}
+
+  // 路径 D 跳过未选取的章节，路径 C 按 toc 顺序阅读整本书
+  assert.equal(next('props-design').D.text, 'Emits 事件设计')
+  assert.equal(next('provide-inject-design').D.text, '异步组件与懒加载')
+  assert.equal(next('provide-inject-design').C.text, '异步组件与懒加载')
+  assert.equal(next('async-component-design').D.text, 'KeepAlive 缓存设计')
+  assert.equal(next('async-component-design').C.text, 'Teleport 设计思想')
+  assert.deepEqual(next('keep-alive-design').D, { text: '书籍介绍', link: '/04-component-mini/' })
+
+  // 未被路径 D 选取的章节没有 D 的下一步
+  assert.equal(next('teleport-design').D, undefined)
+  assert.equal(next('teleport-design').C.text, 'Suspense 设计思想')
+})
+
+test('清单中的 chapters 必须是非空的章节路径数组', () => {
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf-8'))
+  const pkg = manifest.packages.find(item => item.name === 'cs130-vue')
+  pkg.learningPaths[0].steps[0].chapters = []
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'learning-paths-'))
+  const file = path.join(dir, 'books.json')
+  fs.writeFileSync(file, JSON.stringify(manifest))
+  try {
+    assert.throws(() => loadManifest(file), /学习路径 A 中 00-design-overview 的 chapters 应为非空的章节路径数组/)
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+})
@@ -0,0 +1,37 @@
+import { getPackage, getGroups, groupRange } from '../../../../../shared/books.mjs'
+
+/**
+ * 分组下拉菜单的标题，如 L4-0 系列总览、L4-1~8 核心模块
+ * @param {Object} pkg - package 条目
+ * @param {Object} group - 带 books 的分组
+ * @returns {string}
+ */
+export function groupNavText(pkg, group) {
+  if (group.navText) return group.navText
+
+  const range = groupRange(pkg, group)
+  if (!range) return group.name
+
+  const label = range.from === range.to ? range.first : `${range.first}~${range.to}`
+  return `${label} ${group.name}`
+}
+
+/**
+ * 按清单中声明的分组（按 order）生成书籍导航下拉菜单，空分组不生成
+ * @param {string} packageName - package 目录名，如 'cs130-vue'
+ * @param {Function} bookText - 书籍菜单项的文字，默认使用书名
+ * @returns {Array} VitePress nav 配置项
+ */
+export function buildBookNav(packageName, bookText = book => book.title) {
+  const pkg = getPackage(packageName)
+
+  return getGroups(packageName)
+    .filter(group => group.books.length)
+    .map(group => ({
+      text: groupNavText(pkg, group),
+      items: group.books.map(book => ({
+        text: bookText(book),
+        link: book.path
+      }))
+    }))
+}
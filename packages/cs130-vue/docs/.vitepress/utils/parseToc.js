@@ -1,128 +1,157 @@
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { readToc } from '../../../../../shared/tocParser.mjs'
+import { createDiagnostics } from './diagnostics.js'
+import { createStatusResolver, withStatusBadge } from './chapterStatus.js'
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url))
 
 /**
- * 解析 toc.md 文件生成 sidebar 配置
- * @param {string} tocPath - toc.md 文件的路径
+ * 将 toc 中的章节链接转换为站点链接
+ * @param {string} target - toc 中的链接目标，如 design/xxx.md
  * @param {string} baseLink - 基础链接前缀，如 '/reactive/'
- * @returns {Array} sidebar 配置数组
+ * @returns {string} 如 /reactive/book_zh/design/xxx
  */
-export function parseTocToSidebar(tocPath, baseLink) {
-  try {
-    const content = fs.readFileSync(tocPath, 'utf-8')
-    const lines = content.split('\n')
-    const sidebar = []
-    let currentSection = null
-    let currentSubSection = null
-    
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i]
-      
-      // 跳过空行、一级/二级标题、序言、分隔线
-      if (!line.trim() || 
-          (line.startsWith('#') && !line.startsWith('###')) ||  // 只跳过 # 和 ##，保留 ### 和 ####
-          line.includes('序言') || 
-          line.trim() === '---') {
-        continue
-      }
+export function resolveChapterLink(target, baseLink) {
+  const link = target.replace(/\.md$/, '')
+  return link.startsWith('/') ? link : `${baseLink}book_zh/${link}`
+}
 
-      // 匹配章节标题 ### 第一部分：设计思想
-      const sectionMatch = line.match(/^###\s+(.+)/)
-      if (sectionMatch) {
-        if (currentSection) {
-          sidebar.push(currentSection)
-        }
-        currentSection = {
-          text: sectionMatch[1],
-          collapsed: true,
-          items: []
-        }
-        currentSubSection = null
-        continue
-      }
+/**
+ * 将 toc 语法树转换为 sidebar 配置
+ * @param {Object} tree - parseToc 返回的语法树
+ * @param {string} baseLink - 基础链接前缀，如 '/reactive/'
+ * @param {Object} options - { resolveStatus: (target) => { status, date } | null，见 chapterStatus.js }
+ * @returns {Array} sidebar 配置数组
+ */
+export function tocToSidebar(tree, baseLink, { resolveStatus = () => null } = {}) {
+  // 标记为 preface / appendix 的节点从原位置取出，分别固定在开头和末尾
+  const pinned = { preface: [], appendix: [] }
 
-      // 匹配子章节 #### 2.1 响应式核心
-      const subSectionMatch = line.match(/^####\s+(.+)/)
-      if (subSectionMatch) {
-        if (currentSubSection) {
-          currentSection.items.push(currentSubSection)
-        }
-        currentSubSection = {
-          text: subSectionMatch[1],
-          collapsed: true,
-          items: []
-        }
-        continue
-      }
+  const convertNode = (node) => {
+    const children = convert(node.children)
 
-      // 匹配列表项 1. [标题](链接)
-      const itemMatch = line.match(/^\d+\.\s+\[(.+?)\]\((.+?)\)/)
-      if (itemMatch) {
-        const [, text, linkPath] = itemMatch
-        // 处理链接：design/xxx.md -> /reactive/book_zh/design/xxx
-        let finalLink = linkPath.replace(/\.md$/, '')
-        if (!finalLink.startsWith('/')) {
-          finalLink = `${baseLink}book_zh/${finalLink}`
-        }
-        
-        const item = {
-          text: text,
-          link: finalLink
-        }
-
-        if (currentSubSection) {
-          currentSubSection.items.push(item)
-        } else if (currentSection) {
-          currentSection.items.push(item)
-        }
+    if (node.type === 'part') {
+      return {
+        text: node.title,
+        collapsed: true,
+        items: children
       }
     }
 
-    // 添加最后一个章节
-    if (currentSubSection) {
-      currentSection.items.push(currentSubSection)
+    // 没有链接的章节只有在包含子章节时才作为分组保留
+    if (!node.link && !children.length) return null
+
+    const status = node.link ? resolveStatus(node.target) : null
+    const item = { text: withStatusBadge(node.title, status) }
+    // 尚未创建的章节不可点击，避免进入 404
+    if (node.link && status?.status !== 'planned') {
+      item.link = resolveChapterLink(node.target, baseLink)
     }
-    if (currentSection) {
-      sidebar.push(currentSection)
+    if (status) {
+      item.status = status.status
     }
+    if (children.length) {
+      item.collapsed = true
+      item.items = children
+    }
+    return item
+  }
+
+  const convert = (nodes) => {
+    const items = []
+
+    for (const node of nodes) {
+      const item = convertNode(node)
+      if (!item) continue
+
+      if (node.role) {
+        pinned[node.role].push(item)
+      } else {
+        items.push(item)
+      }
+    }
+
+    return items
+  }
 
-    return sidebar
+  const items = convert(tree.children)
+  return [...pinned.preface, ...items, ...pinned.appendix]
+}
+
+/**
+ * 解析 toc.md 文件生成 sidebar 配置
+ * @param {string} tocPath - toc.md 文件的路径
+ * @param {string} baseLink - 基础链接前缀，如 '/reactive/'
+ * @param {Object} options - { diagnostics: 诊断收集器，解析问题与读取失败都会上报到这里, resolveStatus: 章节状态 }
+ * @returns {Array} sidebar 配置数组
+ */
+export function parseTocToSidebar(tocPath, baseLink, { diagnostics = createDiagnostics(), resolveStatus } = {}) {
+  let tree
+  try {
+    tree = readToc(tocPath, { diagnostics })
   } catch (error) {
-    console.warn(`Warning: Failed to parse ${tocPath}:`, error.message)
+    diagnostics.error('read-failed', `无法读取 toc：${error.message}`, { file: tocPath })
     return []
   }
+  return tocToSidebar(tree, baseLink, { resolveStatus })
+}
+
+/**
+ * 读取并解析多个模块的 toc.md，结果供 sidebar、toc 校验、上一篇 / 下一篇、跨书导航和学习路径共用
+ * @param {Array} modules - 模块配置数组 [{name: 'reactive', path: '/reactive/'}]
+ * @param {Object} options - { diagnostics: 诊断收集器，解析问题与读取失败都会上报到这里 }
+ * @returns {Map} 书籍目录名 -> toc 语法树，没有 toc.md 或读取失败的书籍不在其中
+ */
+export function readAllTocs(modules, { diagnostics = createDiagnostics() } = {}) {
+  // __dirname 是 .vitepress/utils/，所以 ../../ 是 docs/
+  const docsDir = path.resolve(__dirname, '../../')
+  const tocs = new Map()
+
+  for (const module of modules) {
+    const tocPath = path.join(docsDir, module.name, 'book_zh', 'toc.md')
+    if (!fs.existsSync(tocPath)) continue
+
+    try {
+      tocs.set(module.name, readToc(tocPath, { diagnostics }))
+    } catch (error) {
+      diagnostics.error('read-failed', `无法读取 toc：${error.message}`, { file: tocPath })
+    }
+  }
+
+  return tocs
 }
 
 /**
  * 批量解析多个模块的 toc.md
  * @param {Array} modules - 模块配置数组 [{name: 'reactive', path: '/reactive/'}]
+ * @param {Object} options - { diagnostics: 诊断收集器, tocs: readAllTocs 的结果，未提供时从文件读取 }
  * @returns {Object} sidebar 配置对象
  */
-export function parseAllTocs(modules) {
+export function parseAllTocs(modules, { diagnostics = createDiagnostics(), tocs = readAllTocs(modules, { diagnostics }) } = {}) {
   // __dirname 是 .vitepress/utils/，所以 ../../ 是 docs/
   const docsDir = path.resolve(__dirname, '../../')
   const sidebarConfig = {}
 
   for (const module of modules) {
-    const tocPath = path.join(docsDir, module.name, 'book_zh', 'toc.md')
-    
-    if (fs.existsSync(tocPath)) {
-      const sidebar = parseTocToSidebar(tocPath, module.path)
-      
-      // 添加书籍介绍链接，然后直接展示章节和文章
-      sidebarConfig[module.path] = [
-        {
-          text: module.title || module.name,
-          items: [
-            { text: '📖 书籍介绍', link: module.path }
-          ]
-        },
-        ...sidebar
-      ]
-    }
+    const tree = tocs.get(module.name)
+    if (!tree) continue
+
+    const sidebar = tocToSidebar(tree, module.path, {
+      resolveStatus: createStatusResolver(docsDir, module.name)
+    })
+
+    // 添加书籍介绍链接，然后直接展示章节和文章
+    sidebarConfig[module.path] = [
+      {
+        text: module.title || module.name,
+        items: [
+          { text: '📖 书籍介绍', link: module.path }
+        ]
+      },
+      ...sidebar
+    ]
   }
 
   return sidebarConfig
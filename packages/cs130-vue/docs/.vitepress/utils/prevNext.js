@@ -0,0 +1,109 @@
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { readingOrder } from '../../../../../shared/tocParser.mjs'
+import { resolveChapterLink, readAllTocs } from './parseToc.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+
+/**
+ * 章节对应的页面路径（相对 docs/），如 01-reactive/book_zh/design/xxx.md
+ * @param {Object} module - 模块配置 {name, path}
+ * @param {string} target - toc 中的链接目标
+ * @returns {string}
+ */
+export function chapterPagePath(module, target) {
+  return target.startsWith('/')
+    ? target.slice(1)
+    : path.posix.join(module.name, 'book_zh', target)
+}
+
+/**
+ * 按 toc 阅读顺序列出单本书的页面：书籍介绍页 -> 第一章 -> ... -> 最后一章，
+ * 尚未创建的章节文件会被跳过，避免链接到 404
+ * @param {Object} module - 模块配置 {name, path, title}
+ * @param {Object} tree - toc 语法树
+ * @param {string} docsDir - docs 目录
+ * @returns {Array} [{ page, text, link }]
+ */
+export function bookPages(module, tree, docsDir) {
+  const seen = new Set()
+  const pages = [{ page: `${module.name}/index.md`, text: '书籍介绍', link: module.path }]
+
+  for (const chapter of readingOrder(tree)) {
+    if (!chapter.target || /^[a-z]+:/i.test(chapter.target)) continue
+
+    const page = chapterPagePath(module, chapter.target)
+    if (seen.has(page) || !fs.existsSync(path.join(docsDir, page))) continue
+    seen.add(page)
+
+    pages.push({
+      page,
+      text: chapter.title,
+      link: resolveChapterLink(chapter.target, module.path)
+    })
+  }
+
+  return pages
+}
+
+/**
+ * 计算单本书每个页面的上一篇 / 下一篇，跨越 ### 部分边界连续
+ * @param {Object} module - 模块配置 {name, path, title}
+ * @param {Object} tree - toc 语法树
+ * @param {string} docsDir - docs 目录
+ * @returns {Map} 页面路径 -> { prev, next }，值为 { text, link } 或 false
+ */
+export function computeBookPrevNext(module, tree, docsDir) {
+  const pages = bookPages(module, tree, docsDir)
+  const links = new Map()
+
+  pages.forEach(({ page }, index) => {
+    const prev = pages[index - 1]
+    const next = pages[index + 1]
+    links.set(page, {
+      prev: prev ? { text: prev.text, link: prev.link } : false,
+      next: next ? { text: next.text, link: next.link } : false
+    })
+  })
+
+  return links
+}
+
+/**
+ * 批量计算多个模块的上一篇 / 下一篇
+ * @param {Array} modules - 模块配置数组 [{name: '01-reactive', path: '/01-reactive/'}]
+ * @param {Map} tocs - readAllTocs 的结果，未提供时从文件读取
+ * @returns {Map} 页面路径 -> { prev, next }
+ */
+export function buildPrevNext(modules, tocs = readAllTocs(modules)) {
+  // __dirname 是 .vitepress/utils/，所以 ../../ 是 docs/
+  const docsDir = path.resolve(__dirname, '../../')
+  const links = new Map()
+
+  for (const module of modules) {
+    const tree = tocs.get(module.name)
+    if (!tree) continue
+
+    for (const [page, value] of computeBookPrevNext(module, tree, docsDir)) {
+      links.set(page, value)
+    }
+  }
+
+  return links
+}
+
+/**
+ * 将上一篇 / 下一篇写入页面 frontmatter（用于 transformPageData），
+ * 页面自己声明的 prev / next 优先
+ * @param {Object} pageData - VitePress 页面数据
+ * @param {Map} links - buildPrevNext 的结果
+ */
+export function applyPrevNext(pageData, links) {
+  const value = links.get(pageData.relativePath)
+  if (!value) return
+
+  const { frontmatter } = pageData
+  if (frontmatter.prev === undefined) frontmatter.prev = value.prev
+  if (frontmatter.next === undefined) frontmatter.next = value.next
+}
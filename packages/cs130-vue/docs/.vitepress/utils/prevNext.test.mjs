@@ -0,0 +1,77 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { parseToc } from '../../../../../shared/tocParser.mjs'
+import { chapterPagePath, bookPages, computeBookPrevNext, applyPrevNext } from './prevNext.js'
+
+const module = { name: '01-demo', path: '/01-demo/', title: '示例书' }
+let docsDir
+
+// 只有写出的章节文件才会出现在阅读顺序中
+before(() => {
+  docsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prev-next-'))
+  for (const file of ['index.md', 'book_zh/index.md', 'book_zh/a.md', 'book_zh/b.md', 'book_zh/appendix.md']) {
+    fs.mkdirSync(path.dirname(path.join(docsDir, module.name, file)), { recursive: true })
+    fs.writeFileSync(path.join(docsDir, module.name, file), '# page\n')
+  }
+})
+
+after(() => {
+  fs.rmSync(docsDir, { recursive: true, force: true })
+})
+
+const tree = parseToc([
+  '- [序言](index.md) <!-- toc:preface -->',
+  '### 附录 <!-- toc:appendix -->',
+  '1. [附录](appendix.md)',
+  '### 第一部分',
+  '1. [A](a.md#intro)',
+  '2. [未写](missing.md)',
+  '### 第二部分',
+  '1. [B](b.md)',
+  '2. [A 的重复链接](a.md)',
+  '3. [外部链接](https://example.com)'
+].join('\n'))
+
+test('章节的页面路径相对 docs/', () => {
+  assert.equal(chapterPagePath(module, 'design/a.md'), '01-demo/book_zh/design/a.md')
+  assert.equal(chapterPagePath(module, '/guide/intro.md'), 'guide/intro.md')
+})
+
+test('按阅读顺序列出存在的页面，跳过缺失、重复与外部链接', () => {
+  assert.deepEqual(bookPages(module, tree, docsDir).map(page => [page.page, page.text, page.link]), [
+    ['01-demo/index.md', '书籍介绍', '/01-demo/'],
+    ['01-demo/book_zh/index.md', '序言', '/01-demo/book_zh/index'],
+    ['01-demo/book_zh/a.md', 'A', '/01-demo/book_zh/a'],
+    ['01-demo/book_zh/b.md', 'B', '/01-demo/book_zh/b'],
+    ['01-demo/book_zh/appendix.md', '附录', '/01-demo/book_zh/appendix']
+  ])
+})
+
+test('上一篇 / 下一篇跨越部分边界，首尾为 false', () => {
+  const links = computeBookPrevNext(module, tree, docsDir)
+
+  assert.deepEqual(links.get('01-demo/index.md'), {
+    prev: false,
+    next: { text: '序言', link: '/01-demo/book_zh/index' }
+  })
+  assert.deepEqual(links.get('01-demo/book_zh/b.md'), {
+    prev: { text: 'A', link: '/01-demo/book_zh/a' },
+    next: { text: '附录', link: '/01-demo/book_zh/appendix' }
+  })
+  assert.equal(links.get('01-demo/book_zh/appendix.md').next, false)
+})
+
+test('页面自己声明的 prev / next 优先', () => {
+  const links = computeBookPrevNext(module, tree, docsDir)
+
+  const page = { relativePath: '01-demo/book_zh/a.md', frontmatter: { next: false } }
+  applyPrevNext(page, links)
+  assert.deepEqual(page.frontmatter, { prev: { text: '序言', link: '/01-demo/book_zh/index' }, next: false })
+
+  const other = { relativePath: 'guide/index.md', frontmatter: {} }
+  applyPrevNext(other, links)
+  assert.deepEqual(other.frontmatter, {})
+})
@@ -0,0 +1,366 @@
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import Ajv from 'ajv'
+import { progressFileName } from '../../../../../shared/books.mjs'
+import { readToc, walkToc } from '../../../../../shared/tocParser.mjs'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+
+/**
+ * 写作进度文件 <book>/book_zh/<name>-progress.json
+ *
+ * book_project 与 tasks 由 toc.md 和已有的章节文件推导：
+ *   total_chapters   正文章节数（有链接，不含序言与附录）
+ *   parts            toc 的顶层部分，status 按章节文件是否存在计算
+ *   extra            附录（toc:appendix），toc 中没有附录时保留已有的 extra，否则为 null
+ *   tasks_todo       toc 中尚未创建文件的章节
+ *   tasks_completed  toc 中已有文件的章节
+ *   claims           正在写作的章节 -> { agent, claimed_at }，task_in_progress 为其中第一个；
+ *                    没有正在写作的章节时省略，缺少时视为 {}
+ * agent_name、version、history、summary 中的其他字段以及待写、进行中的任务由作者维护（见 scripts/tasks.js），
+ * 重新生成时保留；toc 中新增的章节按文件是否存在归入待写或已完成。不在 toc 中的任务同样保留，
+ * 由 check 报告，由作者决定列入 toc（如标记为 toc:appendix）还是从进度文件中删除。
+ */
+
+const SCHEMA_PATH = path.resolve(__dirname, '../schemas/progress.schema.json')
+
+/**
+ * 进度文件路径
+ * @param {string} docsDir - docs 目录
+ * @param {string} bookName - 书籍目录名
+ * @returns {string}
+ */
+export function progressPath(docsDir, bookName) {
+  return path.join(docsDir, bookName, 'book_zh', progressFileName(bookName))
+}
+
+/**
+ * 统计一组章节的写作状态
+ * @param {Array} chapters - 章节节点
+ * @param {Function} exists - (target) => boolean
+ * @returns {Object} { chapters, status }
+ */
+function partProgress(chapters, exists) {
+  const linked = chapters.filter(chapter => chapter.target)
+  const written = linked.filter(chapter => exists(chapter.target)).length
+  const status = written === 0 ? 'not_started' : written === linked.length ? 'completed' : 'in_progress'
+  return { chapters: linked.length, status }
+}
+
+/**
+ * 从 toc 语法树与章节文件推导进度
+ * @param {Object} book - 书籍 {name, title}
+ * @param {Object} tree - toc 语法树
+ * @param {string} docsDir - docs 目录
+ * @returns {Object} { book_project, tasks }
+ */
+export function deriveProgress(book, tree, docsDir) {
+  const bookDir = path.join(docsDir, book.name, 'book_zh')
+  const exists = (target) => fs.existsSync(path.join(bookDir, target))
+  // 章节继承所在部分的角色（序言 / 附录），part 为所属的顶层部分
+  const chapters = []
+  walkToc(tree, (node, parents) => {
+    if (node.type !== 'chapter') return
+    const lineage = [...parents, node]
+    chapters.push({
+      target: node.target,
+      role: lineage.map(item => item.role).filter(Boolean).pop() || null,
+      part: parents[1]?.type === 'part' ? parents[1] : null
+    })
+  })
+
+  const parts = tree.children
+    .filter(node => node.type === 'part' && !node.role)
+    .map(part => ({
+      name: part.title,
+      ...partProgress(chapters.filter(chapter => !chapter.role && chapter.part === part), exists)
+    }))
+
+  const appendix = chapters.filter(chapter => chapter.role === 'appendix')
+  const appendixPart = tree.children.find(node => node.type === 'part' && node.role === 'appendix')
+  const extra = appendix.length
+    ? { name: appendixPart ? appendixPart.title : '附录', ...partProgress(appendix, exists) }
+    : null
+
+  const targets = [...new Set(chapters.map(chapter => chapter.target).filter(Boolean))]
+
+  return {
+    targets,
+    book_project: {
+      name: book.title,
+      language: 'zh',
+      total_chapters: chapters.filter(chapter => chapter.target && !chapter.role).length,
+      parts,
+      extra
+    },
+    tasks: {
+      tasks_todo: targets.filter(target => !exists(target)),
+      task_in_progress: '',
+      tasks_completed: targets.filter(exists)
+    }
+  }
+}
+
+/**
+ * 读取进度文件中每个任务的状态
+ *   兼容只有 task_in_progress、没有 claims 的旧文件：视为 agent_name 认领
+ * @param {Object} progress - 进度文件内容
+ * @returns {Map} 章节 -> { state: 'todo' | 'claimed' | 'completed', agent, claimed_at }
+ */
+export function taskStates(progress) {
+  const { tasks_todo = [], task_in_progress = '', tasks_completed = [], claims = {} } = progress.tasks || {}
+  const states = new Map()
+
+  tasks_completed.forEach(target => states.set(target, { state: 'completed' }))
+  tasks_todo.forEach(target => states.set(target, { state: 'todo' }))
+  if (task_in_progress && !claims[task_in_progress]) {
+    states.set(task_in_progress, {
+      state: 'claimed',
+      agent: progress.agent_name || 'unknown',
+      claimed_at: progress.last_updated
+    })
+  }
+  for (const [target, { agent, claimed_at }] of Object.entries(claims)) {
+    states.set(target, { state: 'claimed', agent, claimed_at })
+  }
+
+  return states
+}
+
+/**
+ * 由任务状态生成 tasks 字段（保持 states 的顺序，即 toc 顺序）
+ *   没有认领中的章节时不写 claims，避免只为空对象改动进度文件
+ * @param {Map} states - taskStates 的结果
+ * @returns {Object} { tasks_todo, task_in_progress, tasks_completed, claims? }
+ */
+export function tasksFromStates(states) {
+  const entries = [...states]
+  const claimed = entries.filter(([, { state }]) => state === 'claimed')
+
+  const tasks = {
+    tasks_todo: entries.filter(([, { state }]) => state === 'todo').map(([target]) => target),
+    task_in_progress: claimed.length ? claimed[0][0] : '',
+    tasks_completed: entries.filter(([, { state }]) => state === 'completed').map(([target]) => target)
+  }
+  if (claimed.length) {
+    tasks.claims = Object.fromEntries(claimed.map(([target, { agent, claimed_at }]) => [target, { agent, claimed_at }]))
+  }
+  return tasks
+}
+
+/**
+ * 进度文件的 summary 字段
+ * @param {Object} tasks - tasksFromStates 的结果
+ * @returns {Object} { total_files, completion_status }
+ */
+export function summarizeTasks(tasks) {
+  const done = tasks.tasks_completed.length
+  const total = done + tasks.tasks_todo.length + Object.keys(tasks.claims || {}).length
+  return {
+    total_files: done,
+    completion_status: `${Math.round(done / Math.max(total, 1) * 100)}%`
+  }
+}
+
+/**
+ * 生成进度文件内容；传入已有内容时保留作者维护的字段
+ * @param {Object} book - 书籍 {name, title}
+ * @param {Object} derived - deriveProgress 的结果
+ * @param {Object|null} existing - 已有的进度文件内容
+ * @param {Date} now - 当前时间
+ * @returns {Object} 进度文件内容
+ */
+export function buildProgress(book, derived, existing = null, now = new Date()) {
+  const previous = existing ? taskStates(existing) : new Map()
+  const written = new Set(derived.tasks.tasks_completed)
+
+  // 待写与进行中的任务保持原状（可能是重新打开的章节），其余按章节文件是否存在判断；
+  // 不在 toc 中的任务排在最后，保持原状
+  const states = new Map(derived.targets.map(target => {
+    const state = previous.get(target)
+    if (state && state.state !== 'completed') return [target, state]
+    return [target, { state: written.has(target) ? 'completed' : 'todo' }]
+  }))
+  for (const [target, state] of previous) {
+    if (!states.has(target)) states.set(target, state)
+  }
+  const tasks = tasksFromStates(states)
+
+  const progress = {
+    agent_name: existing?.agent_name ?? '',
+    file_name: progressFileName(book.name),
+    version: existing?.version ?? '1.0.0',
+    last_updated: existing?.last_updated ?? now.toISOString(),
+    book_project: {
+      ...derived.book_project,
+      // 书名可由作者调整
+      name: existing?.book_project?.name || derived.book_project.name,
+      extra: derived.book_project.extra ?? existing?.book_project?.extra ?? null
+    },
+    tasks,
+    history: [...(existing?.history ?? [])],
+    summary: { ...existing?.summary, ...summarizeTasks(tasks) }
+  }
+
+  if (!existing) {
+    progress.history.push({ date: now.toISOString().slice(0, 10), action: 'generated', details: '由 toc.md 与章节文件生成' })
+  } else if (stringifyProgress({ ...existing, last_updated: null }) !== stringifyProgress({ ...progress, last_updated: null })) {
+    progress.last_updated = now.toISOString()
+  }
+
+  return progress
+}
+
+/**
+ * 序列化进度文件（固定缩进与结尾换行，便于 diff）
+ * @param {Object} progress - 进度文件内容
+ * @returns {string}
+ */
+export function stringifyProgress(progress) {
+  return `${JSON.stringify(progress, null, 2)}\n`
+}
+
+let validateSchema = null
+
+/**
+ * 按 JSON schema 校验进度文件
+ * @param {Object} progress - 进度文件内容
+ * @returns {Array} [{ pointer, message }]，pointer 为出错位置的 JSON Pointer
+ */
+export function validateProgressSchema(progress) {
+  if (!validateSchema) {
+    const ajv = new Ajv({ allErrors: true })
+    validateSchema = ajv.compile(JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf-8')))
+  }
+
+  if (validateSchema(progress)) return []
+  return validateSchema.errors.map(error => ({
+    pointer: error.instancePath || '/',
+    message: `${error.instancePath || '/'} ${error.message}${error.params?.additionalProperty ? `：${error.params.additionalProperty}` : ''}`
+  }))
+}
+
+/**
+ * 在 JSON 源码中查找字段或数组值所在的行，用于诊断定位
+ * @param {string} source - JSON 源码
+ * @param {string} text - 要查找的字段名或字符串值
+ * @returns {number} 行号（从 1 开始），找不到时为 1
+ */
+export function findJsonLine(source, text) {
+  const index = source.split('\n').findIndex(line => line.includes(JSON.stringify(text)))
+  return index === -1 ? 1 : index + 1
+}
+
+/**
+ * 比较进度文件与推导结果，报告手工维护造成的不一致
+ * @param {string} file - 进度文件路径
+ * @param {string} source - 进度文件源码
+ * @param {Object} derived - deriveProgress 的结果
+ * @param {Object} diagnostics - 诊断收集器
+ */
+export function compareProgress(file, source, derived, diagnostics) {
+  const progress = JSON.parse(source)
+  const at = (text) => ({ file, line: findJsonLine(source, text), column: 1 })
+  const project = progress.book_project || {}
+  const tasks = progress.tasks || {}
+  const expected = derived.book_project
+
+  if (progress.file_name !== path.basename(file)) {
+    diagnostics.warn('progress-file-name', `file_name 应为 ${path.basename(file)}`, at('file_name'))
+  }
+
+  if (project.total_chapters !== expected.total_chapters) {
+    diagnostics.warn('progress-total', `total_chapters 为 ${project.total_chapters}，toc.md 中有 ${expected.total_chapters} 个正文章节`, at('total_chapters'))
+  }
+
+  const parts = project.parts || []
+  if (parts.length !== expected.parts.length) {
+    diagnostics.warn('progress-parts', `parts 有 ${parts.length} 项，toc.md 中有 ${expected.parts.length} 个部分`, at('parts'))
+  }
+  expected.parts.forEach((part, index) => {
+    const actual = parts[index]
+    if (!actual) return
+    for (const key of ['name', 'chapters', 'status']) {
+      if (actual[key] !== part[key]) {
+        diagnostics.warn('progress-parts', `parts[${index}].${key} 为 ${JSON.stringify(actual[key])}，应为 ${JSON.stringify(part[key])}`, at(actual.name))
+      }
+    }
+  })
+
+  const extra = project.extra || null
+  if (Boolean(extra) !== Boolean(expected.extra)) {
+    diagnostics.warn('progress-extra', expected.extra ? `toc.md 中有附录「${expected.extra.name}」，但 extra 为空` : 'toc.md 中没有附录（toc:appendix），但声明了 extra', at('extra'))
+  } else if (extra && (extra.chapters !== expected.extra.chapters || extra.status !== expected.extra.status)) {
+    diagnostics.warn('progress-extra', `extra 为 ${extra.chapters} 章 / ${extra.status}，应为 ${expected.extra.chapters} 章 / ${expected.extra.status}`, at('extra'))
+  }
+
+  const todo = new Set(derived.tasks.tasks_todo)
+  const written = new Set(derived.tasks.tasks_completed)
+  const completed = new Set(tasks.tasks_completed || [])
+  const pending = new Set([...(tasks.tasks_todo || []), ...Object.keys(tasks.claims || {}), tasks.task_in_progress].filter(Boolean))
+
+  for (const target of completed) {
+    if (todo.has(target)) {
+      diagnostics.warn('progress-completed-missing', `${target} 标记为已完成，但文件不存在`, at(target))
+    } else if (!written.has(target)) {
+      const hint = fs.existsSync(path.join(path.dirname(file), target))
+        ? '；文件存在，可在 toc.md 中列出（附录标记为 toc:appendix）或从进度文件中删除'
+        : ''
+      diagnostics.warn('progress-completed-unknown', `${target} 标记为已完成，但不在 toc.md 中${hint}`, at(target))
+    }
+  }
+  for (const target of written) {
+    if (!completed.has(target) && !pending.has(target)) {
+      diagnostics.warn('progress-unlisted', `${target} 已写完，但不在 tasks_completed 中`, at('tasks_completed'))
+    }
+  }
+  for (const target of tasks.tasks_todo || []) {
+    if (written.has(target)) {
+      // 重新打开的章节，或写完后尚未标记完成
+      diagnostics.info('progress-todo-written', `${target} 在 tasks_todo 中，但文件已存在`, at(target))
+    } else if (!todo.has(target)) {
+      diagnostics.warn('progress-todo-unknown', `${target} 在 tasks_todo 中，但不在 toc.md 中`, at(target))
+    }
+  }
+  for (const target of new Set([tasks.task_in_progress, ...Object.keys(tasks.claims || {})].filter(Boolean))) {
+    if (!todo.has(target) && !written.has(target)) {
+      diagnostics.warn('progress-todo-unknown', `${target} 正在写作中，但不在 toc.md 中`, at(target))
+    }
+  }
+}
+
+/**
+ * 检查全部书籍的进度文件：缺失、schema 校验失败与不一致
+ * @param {Array} books - 书籍配置 [{name, title}]
+ * @param {string} docsDir - docs 目录
+ * @param {Object} diagnostics - 诊断收集器
+ */
+export function checkAllProgress(books, docsDir, diagnostics) {
+  for (const book of books) {
+    const file = progressPath(docsDir, book.name)
+    if (!fs.existsSync(file)) {
+      diagnostics.warn('progress-missing', `${book.name} 缺少进度文件 ${path.basename(file)}`, { file })
+      continue
+    }
+
+    const source = fs.readFileSync(file, 'utf-8')
+    let progress
+    try {
+      progress = JSON.parse(source)
+    } catch (error) {
+      diagnostics.error('progress-json', `无法解析 JSON：${error.message}`, { file })
+      continue
+    }
+
+    const schemaErrors = validateProgressSchema(progress)
+    for (const { pointer, message } of schemaErrors) {
+      const key = pointer.split('/').filter(part => part && !/^\d+$/.test(part)).pop()
+      diagnostics.error('progress-schema', message, { file, line: key ? findJsonLine(source, key) : 1, column: 1 })
+    }
+    if (schemaErrors.length) continue
+
+    const tocPath = path.join(docsDir, book.name, 'book_zh', 'toc.md')
+    compareProgress(file, source, deriveProgress(book, readToc(tocPath), docsDir), diagnostics)
+  }
+}
@@ -0,0 +1,164 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { parseToc } from '../../../../../shared/tocParser.mjs'
+import { createDiagnostics } from './diagnostics.js'
+import {
+  deriveProgress,
+  taskStates,
+  tasksFromStates,
+  buildProgress,
+  stringifyProgress,
+  validateProgressSchema,
+  compareProgress
+} from './progress.js'
+
+const book = { name: '01-demo', title: '示例书' }
+const now = new Date('2026-03-01T08:00:00.000Z')
+let docsDir
+
+// a.md、b.md 与附录已写，c.md 未写
+before(() => {
+  docsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'progress-'))
+  for (const file of ['index.md', 'a.md', 'b.md', 'appendix/glossary.md', 'old.md']) {
+    fs.mkdirSync(path.dirname(path.join(docsDir, book.name, 'book_zh', file)), { recursive: true })
+    fs.writeFileSync(path.join(docsDir, book.name, 'book_zh', file), '# page\n')
+  }
+})
+
+after(() => {
+  fs.rmSync(docsDir, { recursive: true, force: true })
+})
+
+const tree = parseToc([
+  '- [序言](index.md) <!-- toc:preface -->',
+  '### 第一部分',
+  '1. [A](a.md)',
+  '2. [B](b.md)',
+  '### 第二部分',
+  '1. [C](c.md)',
+  '### 附录 <!-- toc:appendix -->',
+  '- [术语表](appendix/glossary.md)'
+].join('\n'))
+
+const derive = () => deriveProgress(book, tree, docsDir)
+
+test('由 toc 与章节文件推导部分、附录与任务', () => {
+  const derived = derive()
+
+  assert.deepEqual(derived.book_project, {
+    name: '示例书',
+    language: 'zh',
+    total_chapters: 3,
+    parts: [
+      { name: '第一部分', chapters: 2, status: 'completed' },
+      { name: '第二部分', chapters: 1, status: 'not_started' }
+    ],
+    extra: { name: '附录', chapters: 1, status: 'completed' }
+  })
+  assert.deepEqual(derived.tasks, {
+    tasks_todo: ['c.md'],
+    task_in_progress: '',
+    tasks_completed: ['index.md', 'a.md', 'b.md', 'appendix/glossary.md']
+  })
+})
+
+test('没有 claims 的旧文件视为 agent_name 认领 task_in_progress', () => {
+  const states = taskStates({
+    agent_name: 'alice',
+    last_updated: '2026-01-01T00:00:00.000Z',
+    tasks: { tasks_todo: ['c.md'], task_in_progress: 'c.md', tasks_completed: ['a.md'] }
+  })
+  assert.deepEqual(states.get('c.md'), { state: 'claimed', agent: 'alice', claimed_at: '2026-01-01T00:00:00.000Z' })
+  assert.deepEqual(states.get('a.md'), { state: 'completed' })
+})
+
+test('没有认领中的章节时不写 claims', () => {
+  const states = new Map([['a.md', { state: 'completed' }], ['c.md', { state: 'todo' }]])
+  assert.deepEqual(tasksFromStates(states), { tasks_todo: ['c.md'], task_in_progress: '', tasks_completed: ['a.md'] })
+
+  states.set('c.md', { state: 'claimed', agent: 'bob', claimed_at: 'x' })
+  assert.deepEqual(tasksFromStates(states).claims, { 'c.md': { agent: 'bob', claimed_at: 'x' } })
+})
+
+test('新生成的进度文件记录历史并通过 schema 校验', () => {
+  const progress = buildProgress(book, derive(), null, now)
+
+  assert.equal(progress.file_name, 'demo-progress.json')
+  assert.equal(progress.last_updated, now.toISOString())
+  assert.deepEqual(progress.history, [{ date: '2026-03-01', action: 'generated', details: '由 toc.md 与章节文件生成' }])
+  assert.deepEqual(progress.summary, { total_files: 4, completion_status: '80%' })
+  assert.equal('claims' in progress.tasks, false)
+  assert.deepEqual(validateProgressSchema(progress), [])
+})
+
+test('重新生成时保留作者维护的字段、认领与不在 toc 中的任务', () => {
+  const existing = {
+    ...buildProgress(book, derive(), null, now),
+    agent_name: 'alice',
+    book_project: { ...derive().book_project, name: '作者调整的书名' },
+    tasks: {
+      tasks_todo: ['a.md'],
+      task_in_progress: 'c.md',
+      tasks_completed: ['index.md', 'b.md', 'appendix/glossary.md', 'old.md'],
+      claims: { 'c.md': { agent: 'bob', claimed_at: '2026-02-01T00:00:00.000Z' } }
+    },
+    summary: { total_files: 3, completion_status: '50%', notes: '手写的备注' }
+  }
+
+  const later = new Date('2026-04-01T00:00:00.000Z')
+  const progress = buildProgress(book, derive(), existing, later)
+
+  assert.equal(progress.book_project.name, '作者调整的书名')
+  // 重新打开的 a.md 仍为待写，不在 toc 中的 old.md 排在最后
+  assert.deepEqual(progress.tasks, existing.tasks)
+  assert.deepEqual(progress.summary, { total_files: 4, completion_status: '67%', notes: '手写的备注' })
+  assert.equal(progress.last_updated, later.toISOString())
+  assert.deepEqual(progress.history, existing.history)
+
+  // 内容没有变化时不更新 last_updated
+  assert.equal(stringifyProgress(buildProgress(book, derive(), progress, new Date())), stringifyProgress(progress))
+})
+
+test('toc 中没有附录时保留已有的 extra', () => {
+  const withoutAppendix = parseToc('### 第一部分\n1. [A](a.md)\n')
+  const derived = deriveProgress(book, withoutAppendix, docsDir)
+  const existing = { book_project: { extra: { name: '手写附录', chapters: 2, status: 'in_progress' } } }
+
+  assert.equal(derived.book_project.extra, null)
+  assert.deepEqual(buildProgress(book, derived, existing, now).book_project.extra, existing.book_project.extra)
+})
+
+test('schema 报告出错的位置', () => {
+  const progress = buildProgress(book, derive(), null, now)
+  delete progress.tasks.tasks_todo
+
+  const [error] = validateProgressSchema({ ...progress, unexpected: true })
+  assert.equal(error.pointer, '/')
+  assert.match(error.message, /unexpected/)
+  assert.ok(validateProgressSchema(progress).some(error => error.pointer === '/tasks'))
+})
+
+test('报告进度文件与 toc 的不一致及其所在行', () => {
+  const progress = buildProgress(book, derive(), null, now)
+  progress.book_project.total_chapters = 5
+  progress.tasks.tasks_completed = ['a.md', 'c.md', 'old.md']
+  progress.tasks.tasks_todo = ['b.md']
+  const source = stringifyProgress(progress)
+
+  const diagnostics = createDiagnostics()
+  compareProgress(path.join(docsDir, book.name, 'book_zh', 'demo-progress.json'), source, derive(), diagnostics)
+
+  const line = (text) => source.split('\n').findIndex(row => row.includes(JSON.stringify(text))) + 1
+  assert.deepEqual(diagnostics.items.map(d => [d.severity, d.code, d.line]), [
+    ['warning', 'progress-total', line('total_chapters')],
+    ['warning', 'progress-completed-missing', line('c.md')],
+    ['warning', 'progress-completed-unknown', line('old.md')],
+    ['warning', 'progress-unlisted', line('tasks_completed')],
+    ['warning', 'progress-unlisted', line('tasks_completed')],
+    ['info', 'progress-todo-written', line('b.md')]
+  ])
+  assert.match(diagnostics.items[2].message, /文件存在/)
+})
@@ -0,0 +1,220 @@
+import { taskStates, tasksFromStates, summarizeTasks } from './progress.js'
+
+/**
+ * 写作任务队列：在进度文件的 tasks 上认领、完成、重新打开章节
+ *
+ *   todo ──claim──> claimed ──complete──> completed
+ *     ^                                      │
+ *     └──────────────── reopen ──────────────┘
+ *
+ * 每个操作返回新的进度文件内容，并记录 history、更新 agent_name 与 last_updated。
+ * 多人同时修改同一个进度文件时，mergeProgress 按章节做三方合并（git merge driver）。
+ */
+
+// 合并冲突时优先保留的状态
+const STATE_RANK = { todo: 0, claimed: 1, completed: 2 }
+
+/**
+ * 应用任务状态的变化
+ * @param {Object} progress - 进度文件内容
+ * @param {Map} states - 变化后的任务状态
+ * @param {Object} entry - { action, target, agent, details }
+ * @param {Date} now - 当前时间
+ * @returns {Object} 新的进度文件内容
+ */
+function applyStates(progress, states, { action, target, agent, details = `${target}（${agent}）` }, now) {
+  const tasks = tasksFromStates(states)
+  return {
+    ...progress,
+    agent_name: agent,
+    last_updated: now.toISOString(),
+    tasks,
+    history: [
+      ...(progress.history || []),
+      { date: now.toISOString().slice(0, 10), action, target, details }
+    ],
+    summary: { ...progress.summary, ...summarizeTasks(tasks) }
+  }
+}
+
+/**
+ * 查找任务，不存在时抛出错误
+ * @param {Map} states - 任务状态
+ * @param {string} target - 章节（toc 中的链接目标）
+ * @returns {Object} 任务状态
+ */
+function findTask(states, target) {
+  const task = states.get(target)
+  if (!task) {
+    throw new Error(`toc.md 中没有章节 ${target}`)
+  }
+  return task
+}
+
+/**
+ * 下一个可以认领的章节（toc 顺序中第一个待写的章节）
+ * @param {Object} progress - 进度文件内容
+ * @returns {string|null}
+ */
+export function nextTask(progress) {
+  const next = [...taskStates(progress)].find(([, { state }]) => state === 'todo')
+  return next ? next[0] : null
+}
+
+/**
+ * 认领章节
+ * @param {Object} progress - 进度文件内容
+ * @param {string} target - 章节
+ * @param {string} agent - 认领人
+ * @param {Date} now - 当前时间
+ * @returns {Object} 新的进度文件内容
+ */
+export function claimTask(progress, target, agent, now = new Date()) {
+  const states = taskStates(progress)
+  const task = findTask(states, target)
+
+  if (task.state === 'claimed') {
+    throw new Error(`${target} 已由 ${task.agent} 于 ${task.claimed_at} 认领`)
+  }
+  if (task.state === 'completed') {
+    throw new Error(`${target} 已完成，需要修改时先 reopen`)
+  }
+
+  states.set(target, { state: 'claimed', agent, claimed_at: now.toISOString() })
+  return applyStates(progress, states, { action: 'claimed', target, agent }, now)
+}
+
+/**
+ * 完成章节：章节文件必须已经存在
+ * @param {Object} progress - 进度文件内容
+ * @param {string} target - 章节
+ * @param {string} agent - 完成人
+ * @param {Function} exists - (target) => boolean，章节文件是否存在
+ * @param {Date} now - 当前时间
+ * @returns {Object} 新的进度文件内容
+ */
+export function completeTask(progress, target, agent, exists, now = new Date()) {
+  const states = taskStates(progress)
+  const task = findTask(states, target)
+
+  if (task.state === 'completed') {
+    throw new Error(`${target} 已经完成`)
+  }
+  if (task.state === 'claimed' && task.agent !== agent) {
+    throw new Error(`${target} 由 ${task.agent} 认领，不能由 ${agent} 完成`)
+  }
+  if (!exists(target)) {
+    throw new Error(`章节文件 ${target} 不存在，写完后再标记完成`)
+  }
+
+  states.set(target, { state: 'completed' })
+  return applyStates(progress, states, { action: 'completed', target, agent }, now)
+}
+
+/**
+ * 重新打开章节：已完成的章节回到待写，进行中的章节释放认领
+ *   只有认领人可以释放自己的认领，释放他人的认领需要 force
+ * @param {Object} progress - 进度文件内容
+ * @param {string} target - 章节
+ * @param {string} agent - 操作人
+ * @param {Date} now - 当前时间
+ * @param {Object} options - { force: 释放他人的认领 }
+ * @returns {Object} 新的进度文件内容
+ */
+export function reopenTask(progress, target, agent, now = new Date(), { force = false } = {}) {
+  const states = taskStates(progress)
+  const task = findTask(states, target)
+
+  if (task.state === 'todo') {
+    throw new Error(`${target} 已经是待写状态`)
+  }
+  const releasesOther = task.state === 'claimed' && task.agent !== agent
+  if (releasesOther && !force) {
+    throw new Error(`${target} 由 ${task.agent} 认领，只有认领人可以释放（确需释放时使用 --force）`)
+  }
+
+  states.set(target, { state: 'todo' })
+  return applyStates(progress, states, {
+    action: 'reopened',
+    target,
+    agent,
+    details: releasesOther ? `${target}（${agent} 释放了 ${task.agent} 的认领）` : undefined
+  }, now)
+}
+
+/**
+ * 两个任务状态是否相同
+ */
+function sameState(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null)
+}
+
+/**
+ * 三方合并同一个进度文件的两份修改
+ *   每个章节的状态单独合并：只有一方修改时采用修改的一方；双方改成不同状态时为冲突，
+ *   保留进度更靠后的状态（completed > claimed > todo，同为认领时保留先认领的）
+ *   history 取并集，last_updated 取较晚的一方
+ * 一方删除（或清空）了进度文件时：另一方没有改动则随之删除（progress 为 null），
+ * 否则保留有改动的一方，并以 removed 报告冲突
+ * @param {Object|null} base - 共同祖先版本
+ * @param {Object|null} ours - 当前分支的版本
+ * @param {Object|null} theirs - 合并进来的版本
+ * @returns {Object} { progress: 合并结果或 null, conflicts: [冲突的章节], removed: 删除与修改冲突时删除的一方 }
+ */
+export function mergeProgress(base, ours, theirs) {
+  if (!ours || !theirs) {
+    const kept = ours || theirs
+    if (!kept || sameState(kept, base)) return { progress: null, conflicts: [], removed: null }
+    return { progress: kept, conflicts: [], removed: ours ? 'theirs' : 'ours' }
+  }
+
+  const [baseStates, ourStates, theirStates] = [base, ours, theirs]
+    .map(progress => progress ? taskStates(progress) : new Map())
+  const conflicts = []
+  const states = new Map()
+
+  for (const target of new Set([...ourStates.keys(), ...theirStates.keys()])) {
+    const [original, mine, other] = [baseStates, ourStates, theirStates].map(map => map.get(target))
+    let state
+    if (sameState(mine, original)) {
+      state = other
+    } else if (sameState(other, original) || sameState(mine, other)) {
+      state = mine
+    } else {
+      conflicts.push(target)
+      const rank = (task) => task ? STATE_RANK[task.state] : -1
+      state = rank(mine) !== rank(other)
+        ? (rank(mine) > rank(other) ? mine : other)
+        : (mine.claimed_at <= other.claimed_at ? mine : other)
+    }
+    // 一方从 toc 中移除、另一方未改动的章节随之移除
+    if (state) states.set(target, state)
+  }
+
+  const seen = new Set()
+  const history = [...(ours.history || []), ...(theirs.history || [])]
+    .filter(entry => {
+      const key = JSON.stringify(entry)
+      if (seen.has(key)) return false
+      seen.add(key)
+      return true
+    })
+    .sort((a, b) => a.date.localeCompare(b.date))
+
+  const latest = ours.last_updated >= theirs.last_updated ? ours : theirs
+  const tasks = tasksFromStates(states)
+
+  return {
+    progress: {
+      ...ours,
+      agent_name: latest.agent_name,
+      last_updated: latest.last_updated,
+      book_project: sameState(ours.book_project, base?.book_project) ? theirs.book_project : ours.book_project,
+      tasks,
+      history,
+      summary: { ...ours.summary, ...summarizeTasks(tasks) }
+    },
+    conflicts,
+    removed: null
+  }
+}
@@ -0,0 +1,107 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { taskStates } from './progress.js'
+import { nextTask, claimTask, completeTask, reopenTask, mergeProgress } from './tasks.js'
+
+const day = (n) => new Date(`2026-03-0${n}T00:00:00.000Z`)
+
+function createProgress() {
+  return {
+    agent_name: '',
+    file_name: 'demo-progress.json',
+    version: '1.0.0',
+    last_updated: day(1).toISOString(),
+    book_project: { name: '示例书', language: 'zh', total_chapters: 3, parts: [], extra: null },
+    tasks: { tasks_todo: ['a.md', 'b.md', 'c.md'], task_in_progress: '', tasks_completed: [] },
+    history: [],
+    summary: { total_files: 0, completion_status: '0%' }
+  }
+}
+
+// 每个章节的状态，便于比较
+function states(progress) {
+  return Object.fromEntries([...taskStates(progress)].map(([target, task]) => [target, task.agent ? `${task.state}:${task.agent}` : task.state]))
+}
+
+test('认领、完成与重新打开章节', () => {
+  let progress = createProgress()
+  assert.equal(nextTask(progress), 'a.md')
+
+  progress = claimTask(progress, 'a.md', 'alice', day(2))
+  assert.equal(nextTask(progress), 'b.md')
+  assert.deepEqual(progress.tasks.claims, { 'a.md': { agent: 'alice', claimed_at: day(2).toISOString() } })
+  assert.equal(progress.tasks.task_in_progress, 'a.md')
+  assert.throws(() => claimTask(progress, 'a.md', 'bob'), /已由 alice/)
+  assert.throws(() => completeTask(progress, 'a.md', 'bob', () => true), /不能由 bob 完成/)
+  assert.throws(() => completeTask(progress, 'a.md', 'alice', () => false), /不存在/)
+
+  progress = completeTask(progress, 'a.md', 'alice', () => true, day(3))
+  assert.deepEqual(states(progress), { 'a.md': 'completed', 'b.md': 'todo', 'c.md': 'todo' })
+  assert.equal('claims' in progress.tasks, false)
+  assert.deepEqual(progress.summary, { total_files: 1, completion_status: '33%' })
+  assert.deepEqual(progress.history.map(entry => [entry.date, entry.action, entry.target]), [
+    ['2026-03-02', 'claimed', 'a.md'],
+    ['2026-03-03', 'completed', 'a.md']
+  ])
+  assert.equal(progress.agent_name, 'alice')
+
+  progress = reopenTask(progress, 'a.md', 'bob', day(4))
+  assert.equal(states(progress)['a.md'], 'todo')
+  assert.throws(() => reopenTask(progress, 'a.md', 'bob'), /已经是待写状态/)
+  assert.throws(() => claimTask(progress, 'missing.md', 'bob'), /没有章节 missing\.md/)
+})
+
+test('只有认领人可以释放认领，--force 释放他人的认领并记录', () => {
+  const claimed = claimTask(createProgress(), 'b.md', 'alice', day(2))
+
+  assert.throws(() => reopenTask(claimed, 'b.md', 'bob', day(3)), /只有认领人可以释放/)
+  assert.equal(states(reopenTask(claimed, 'b.md', 'alice', day(3)))['b.md'], 'todo')
+
+  const forced = reopenTask(claimed, 'b.md', 'bob', day(3), { force: true })
+  assert.equal(states(forced)['b.md'], 'todo')
+  assert.equal(forced.history.at(-1).details, 'b.md（bob 释放了 alice 的认领）')
+})
+
+test('双方修改不同章节时合并两边的修改与历史', () => {
+  const base = createProgress()
+  const ours = claimTask(base, 'a.md', 'alice', day(2))
+  const theirs = claimTask(base, 'b.md', 'bob', day(3))
+
+  const { progress, conflicts, removed } = mergeProgress(base, ours, theirs)
+  assert.deepEqual([conflicts, removed], [[], null])
+  assert.deepEqual(states(progress), { 'a.md': 'claimed:alice', 'b.md': 'claimed:bob', 'c.md': 'todo' })
+  assert.deepEqual(progress.history.map(entry => entry.target), ['a.md', 'b.md'])
+  // 取较晚修改的一方
+  assert.deepEqual([progress.agent_name, progress.last_updated], ['bob', day(3).toISOString()])
+})
+
+test('同一章节的冲突保留进度更靠后的状态，同为认领时保留先认领的', () => {
+  const base = claimTask(createProgress(), 'a.md', 'alice', day(1))
+  const ours = completeTask(base, 'a.md', 'alice', () => true, day(2))
+  const theirs = reopenTask(base, 'a.md', 'alice', day(3))
+
+  const completed = mergeProgress(base, ours, theirs)
+  assert.deepEqual(completed.conflicts, ['a.md'])
+  assert.equal(states(completed.progress)['a.md'], 'completed')
+
+  const start = createProgress()
+  const late = claimTask(start, 'c.md', 'carol', day(4))
+  const early = claimTask(start, 'c.md', 'dave', day(2))
+  const claimed = mergeProgress(start, late, early)
+  assert.deepEqual(claimed.conflicts, ['c.md'])
+  assert.equal(states(claimed.progress)['c.md'], 'claimed:dave')
+})
+
+test('一方删除进度文件时：另一方没有改动则一起删除，否则保留并报告', () => {
+  const base = createProgress()
+  const changed = claimTask(base, 'a.md', 'alice', day(2))
+
+  assert.deepEqual(mergeProgress(base, null, base), { progress: null, conflicts: [], removed: null })
+  assert.deepEqual(mergeProgress(base, base, null), { progress: null, conflicts: [], removed: null })
+  assert.deepEqual(mergeProgress(null, null, null), { progress: null, conflicts: [], removed: null })
+
+  assert.deepEqual(mergeProgress(base, changed, null), { progress: changed, conflicts: [], removed: 'theirs' })
+  assert.deepEqual(mergeProgress(base, null, changed), { progress: changed, conflicts: [], removed: 'ours' })
+  // 双方都新建了进度文件
+  assert.equal(mergeProgress(null, changed, base).removed, null)
+})
@@ -0,0 +1,122 @@
+/**
+ * markdown-it 插件：转义章节正文中会被 Vue 当作模板语法的内容
+ *
+ * VitePress 把每个 markdown 页面编译为 Vue SFC，正文中的 {{ }} 会被当作插值表达式，
+ * 原样写出的 <div>、<template> 等标签也会被 Vue 解析。代码块（```）已由 VitePress
+ * 加上 v-pre，这里处理其余位置：
+ *   - 行内代码、普通文本和 HTML 中的 {{ / }} 转为 HTML 实体，浏览器中显示不变
+ *   - 正文中未闭合的标签（如「Unclosed tag <div>」）转为普通文本
+ *   - 正文中的 <script> / <style> / <template> 等 Vue 特殊标签转为普通文本
+ *
+ * 只作用于 book_zh/ 下的章节；页面 frontmatter 设置 vueTemplate: true 可关闭转义，
+ * 以便在章节中有意使用 Vue 组件或插值。
+ */
+
+// 在正文中出现时会被 Vue 特殊处理的标签
+const VUE_SPECIAL_TAGS = new Set(['script', 'style', 'template', 'slot', 'component'])
+// 不需要闭合的 HTML 元素
+const VOID_TAGS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'source', 'track', 'wbr'
+])
+const TAG_RE = /<(\/?)([a-zA-Z][\w-]*)(?:\s[^<>]*?)?(\/?)>/g
+
+/**
+ * 将文本中的插值定界符替换为 HTML 实体
+ * @param {string} html - 已转义的 HTML 文本
+ * @returns {string}
+ */
+export function escapeMustache(html) {
+  return html.replace(/\{\{/g, '&#123;&#123;').replace(/\}\}/g, '&#125;&#125;')
+}
+
+/**
+ * 当前页面是否需要转义
+ * @param {Object} env - markdown-it 渲染环境（VitePress 提供 relativePath 与 frontmatter）
+ * @returns {boolean}
+ */
+export function shouldEscape(env = {}) {
+  if (env.frontmatter?.vueTemplate === true) return false
+  return /(^|\/)book_zh\//.test(env.relativePath || '')
+}
+
+/**
+ * 按出现顺序找出 HTML 片段序列中的标签，返回无法安全交给 Vue 的标签下标
+ * （未闭合、多余的闭合标签，以及 Vue 特殊标签）
+ * @param {Array<string>} fragments - HTML 片段
+ * @returns {Set<number>} 有问题的片段下标
+ */
+export function findUnsafeTags(fragments) {
+  const unsafe = new Set()
+  const stack = []
+
+  fragments.forEach((fragment, index) => {
+    for (const [, closing, rawName, selfClosing] of fragment.matchAll(TAG_RE)) {
+      const name = rawName.toLowerCase()
+
+      if (VUE_SPECIAL_TAGS.has(name)) {
+        unsafe.add(index)
+      } else if (closing) {
+        const openIndex = stack.findLastIndex(entry => entry.name === name)
+        if (openIndex === -1) {
+          unsafe.add(index)
+        } else {
+          // 中间未闭合的标签都视为有问题
+          stack.splice(openIndex).slice(1).forEach(entry => unsafe.add(entry.index))
+        }
+      } else if (!selfClosing && !VOID_TAGS.has(name)) {
+        stack.push({ name, index })
+      }
+    }
+  })
+
+  stack.forEach(entry => unsafe.add(entry.index))
+  return unsafe
+}
+
+/**
+ * 注册插件
+ * @param {Object} md - markdown-it 实例
+ */
+export function templateEscapePlugin(md) {
+  // 行内 HTML 在同一段落内配对，HTML 块在整个页面内配对（允许 <details> 等包裹 markdown 内容）；
+  // 不成对的标签改为普通文本
+  md.core.ruler.push('vue_template_escape', (state) => {
+    if (!shouldEscape(state.env)) return
+
+    const escapeUnsafe = (tokens, type) => {
+      const unsafe = findUnsafeTags(tokens.map(token => token.content))
+      tokens.forEach((token, index) => {
+        if (unsafe.has(index)) token.type = type
+      })
+    }
+
+    escapeUnsafe(state.tokens.filter(token => token.type === 'html_block'), 'html_block_text')
+    for (const token of state.tokens) {
+      if (token.type === 'inline' && token.children) {
+        escapeUnsafe(token.children.filter(child => child.type === 'html_inline'), 'text')
+      }
+    }
+  })
+
+  const { rules } = md.renderer
+  const renderText = rules.text
+  const renderCodeInline = rules.code_inline
+  const renderHtmlInline = rules.html_inline || ((tokens, idx) => tokens[idx].content)
+  const renderHtmlBlock = rules.html_block || ((tokens, idx) => tokens[idx].content)
+
+  const escaping = (render) => (tokens, idx, options, env, self) => {
+    const html = render(tokens, idx, options, env, self)
+    return shouldEscape(env) ? escapeMustache(html) : html
+  }
+
+  rules.text = escaping(renderText)
+  rules.code_inline = escaping(renderCodeInline)
+  rules.html_inline = escaping(renderHtmlInline)
+
+  rules.html_block = escaping(renderHtmlBlock)
+  // 不成对的 HTML 块整体作为文本段落输出
+  rules.html_block_text = (tokens, idx) => {
+    return `<p>${escapeMustache(md.utils.escapeHtml(tokens[idx].content.trim()))}</p>\n`
+  }
+}
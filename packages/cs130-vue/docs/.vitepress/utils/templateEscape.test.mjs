@@ -0,0 +1,63 @@
+import { test, before } from 'node:test'
+import assert from 'node:assert/strict'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { createMarkdownRenderer } from 'vitepress'
+import { escapeMustache, shouldEscape, findUnsafeTags, templateEscapePlugin } from './templateEscape.js'
+
+const docsDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..')
+const chapter = { relativePath: '01-reactive/book_zh/design/a.md', frontmatter: {} }
+let md
+
+// 与站点相同的 markdown 渲染器
+before(async () => {
+  md = await createMarkdownRenderer(docsDir, { config: templateEscapePlugin }, '/')
+})
+
+test('只转义 book_zh/ 下未关闭转义的章节', () => {
+  assert.equal(shouldEscape(chapter), true)
+  assert.equal(shouldEscape({ relativePath: 'guide/intro.md' }), false)
+  assert.equal(shouldEscape({ ...chapter, frontmatter: { vueTemplate: true } }), false)
+  assert.equal(shouldEscape(), false)
+})
+
+test('插值定界符转为 HTML 实体', () => {
+  assert.equal(escapeMustache('{{ a }} }}'), '&#123;&#123; a &#125;&#125; &#125;&#125;')
+})
+
+test('找出未闭合、多余闭合与 Vue 特殊标签所在的片段', () => {
+  assert.deepEqual([...findUnsafeTags(['<span>', '</span>', '<br>', '<img src="a"/>'])], [])
+  assert.deepEqual([...findUnsafeTags(['<div>', '<b>', '</div>'])].sort(), [1])
+  assert.deepEqual([...findUnsafeTags(['</p>', '<template>', '<DIV>'])].sort(), [0, 1, 2])
+})
+
+test('渲染章节时转义插值与不成对的标签，代码块保持原样', () => {
+  const html = md.render([
+    '正文 {{ count }} 与 `{{ inline }}`，未闭合的 <div> 标签。',
+    '',
+    '<details>',
+    '',
+    '**内容**',
+    '',
+    '</details>',
+    '',
+    '<template>',
+    '',
+    '```js',
+    'const a = "{{ b }}"',
+    '```'
+  ].join('\n'), { ...chapter })
+
+  assert.match(html, /正文 &#123;&#123; count &#125;&#125;/)
+  assert.match(html, /<code>&#123;&#123; inline &#125;&#125;<\/code>/)
+  assert.match(html, /未闭合的 &lt;div&gt; 标签/)
+  assert.match(html, /<details>/)
+  assert.match(html, /<p>&lt;template&gt;<\/p>/)
+  // 代码块由 VitePress 加上 v-pre，不需要转义
+  assert.match(html, /const a = &quot;\{\{ b \}\}&quot;/)
+})
+
+test('其他页面不做改动', () => {
+  const html = md.render('{{ count }} <div>', { relativePath: 'index.md', frontmatter: {} })
+  assert.match(html, /\{\{ count \}\} <div>/)
+})
@@ -0,0 +1,223 @@
+import fs from 'fs'
+import path from 'path'
+import { compileTemplate, parse as parseSfc } from 'vue/compiler-sfc'
+import { createMarkdownRenderer } from 'vitepress'
+import { templateEscapePlugin } from './templateEscape.js'
+
+/**
+ * 章节模板语法检查
+ *
+ * 按 VitePress 的方式把章节渲染为 HTML 并交给 Vue 模板编译器，找出会使构建失败
+ * 或让页面内容被悄悄改写的写法：
+ *   template-error  Vue 编译错误（未闭合的标签等），会使构建失败        error
+ *   sfc-block       正文中的 <script> / <style> 被提取为组件代码块      error
+ *   interpolation   {{ }} 被当作插值表达式求值                          warning
+ *   directive       v-if、@click 等属性被当作指令                        warning
+ *   component       <KeepAlive> 等标签被解析为 Vue 组件                  warning
+ *
+ * 问题按 markdown 的顶层块定位到行；warning 级别的问题可以通过 v-pre 包裹该块修复。
+ */
+
+// 可以用 v-pre 修复的问题
+const VPRE_FIXABLE = new Set(['interpolation', 'directive', 'component'])
+
+// Vue 模板 AST 节点类型（@vue/compiler-core 的 NodeTypes / ElementTypes）
+const NODE_ELEMENT = 1
+const NODE_INTERPOLATION = 5
+const NODE_DIRECTIVE = 7
+const ELEMENT_COMPONENT = 1
+
+const FRONT_MATTER_RE = /^---\r?\n[\s\S]*?\r?\n---(?:\r?\n|$)/
+
+/**
+ * 创建与构建一致的 markdown 渲染器（与 config.js 的 markdown 选项相同）
+ *   代码高亮替换为带 v-pre 的纯文本，与 VitePress 输出的结构一致，但不加载 shiki
+ * @param {string} docsDir - docs 目录
+ * @returns {Promise<Object>} markdown-it 实例
+ */
+export async function createLintRenderer(docsDir) {
+  return createMarkdownRenderer(docsDir, {
+    highlight: (code) => `<pre v-pre><code>${escapeHtml(code)}</code></pre>`,
+    config(md) {
+      md.use(templateEscapePlugin)
+    }
+  })
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+}
+
+/**
+ * 将 token 列表切分为顶层块（段落、列表、代码块、HTML 块等）
+ * @param {Array} tokens - md.parse 的结果
+ * @returns {Array} [{ tokens, map: [起始行, 结束行) }]，行号从 0 开始、不含 front matter
+ */
+export function splitBlocks(tokens) {
+  const blocks = []
+  let current = null
+  let depth = 0
+
+  for (const token of tokens) {
+    if (depth === 0) {
+      current = { tokens: [], map: token.map ? [...token.map] : null }
+      blocks.push(current)
+    }
+    current.tokens.push(token)
+    if (token.map && current.map) current.map[1] = Math.max(current.map[1], token.map[1])
+    depth += token.nesting
+  }
+
+  return blocks.filter(block => block.map)
+}
+
+/**
+ * 编译渲染后的 HTML，收集 Vue 编译错误和会被 Vue 改写的节点
+ * @param {string} html - 渲染后的 HTML
+ * @param {string} file - 文件路径（用于编译器报错）
+ * @returns {Array} [{ code, message, offset }]，offset 为问题在 html 中的位置，未知时为 null
+ */
+export function inspectTemplate(html, file) {
+  // 与 VitePress 生成的组件模板一致：<template><div>${html}</div></template>
+  const { errors } = compileTemplate({ source: `<div>${html}</div>`, filename: file, id: 'template-lint' })
+  const issues = errors.map(error => ({
+    code: 'template-error',
+    message: typeof error === 'string' ? error : error.message,
+    offset: error.loc ? Math.max(error.loc.start.offset - '<div>'.length, 0) : null
+  }))
+  if (issues.length) return issues
+
+  // 编译后的 AST 已合并插值、移除 v-if 等指令，这里检查解析阶段的 AST
+  const prefix = '<template><div>'
+  const { descriptor } = parseSfc(`${prefix}${html}</div></template>`, { filename: file })
+  const report = (code, message, node) => {
+    issues.push({ code, message, offset: node.loc.start.offset - prefix.length })
+  }
+
+  const visit = (node) => {
+    if (node.type === NODE_INTERPOLATION) {
+      report('interpolation', `插值表达式会被求值：${node.loc.source}`, node)
+    }
+    if (node.type !== NODE_ELEMENT) return
+
+    // v-pre 元素内的内容不会被编译
+    if (node.props.some(prop => prop.type === NODE_DIRECTIVE && prop.name === 'pre')) return
+    if (node.tagType === ELEMENT_COMPONENT) {
+      report('component', `<${node.tag}> 会被解析为 Vue 组件`, node)
+    }
+    for (const prop of node.props) {
+      if (prop.type === NODE_DIRECTIVE) {
+        report('directive', `属性 ${prop.rawName} 会被解析为 Vue 指令`, node)
+      }
+    }
+    node.children.forEach(visit)
+  }
+  descriptor.template?.ast?.children[0]?.children.forEach(visit)
+
+  return issues
+}
+
+/**
+ * 检查单个章节
+ * @param {Object} md - createLintRenderer 返回的渲染器
+ * @param {string} file - 章节文件的绝对路径
+ * @param {string} docsDir - docs 目录
+ * @returns {Array} [{ code, message, line, endLine, fixable }]，行号从 1 开始
+ */
+export function lintChapter(md, file, docsDir) {
+  const source = fs.readFileSync(file, 'utf-8')
+  const env = {
+    path: file,
+    relativePath: path.relative(docsDir, file).split(path.sep).join('/'),
+    sfcBlocks: { scripts: [], styles: [], customBlocks: [] }
+  }
+
+  const frontMatter = source.match(FRONT_MATTER_RE)
+  const lineOffset = frontMatter ? frontMatter[0].split('\n').length - 1 : 0
+  const blocks = splitBlocks(md.parse(source, env))
+  // 页面中有意使用 Vue 语法的章节只检查会使构建失败的问题
+  const vueTemplate = env.frontmatter?.vueTemplate === true
+  const results = []
+
+  // 逐块渲染并记录每块在整页 HTML 中的位置，整页编译后按位置把问题定位到块
+  let html = ''
+  for (const block of blocks) {
+    const hoisted = env.sfcBlocks.scripts.length + env.sfcBlocks.styles.length
+    block.start = html.length
+    html += md.renderer.render(block.tokens, md.options, env)
+    block.line = block.map[0] + lineOffset + 1
+    block.endLine = block.map[1] + lineOffset
+
+    if (!vueTemplate && env.sfcBlocks.scripts.length + env.sfcBlocks.styles.length > hoisted) {
+      results.push({
+        code: 'sfc-block',
+        message: '<script> / <style> 会被提取为组件代码，不会显示在页面上',
+        line: block.line,
+        endLine: block.endLine,
+        fixable: false
+      })
+    }
+  }
+
+  for (const issue of inspectTemplate(html, file)) {
+    if (vueTemplate && issue.code !== 'template-error') continue
+
+    const block = issue.offset === null
+      ? null
+      : blocks.findLast(candidate => candidate.start <= issue.offset)
+    results.push({
+      code: issue.code,
+      message: issue.message,
+      line: block ? block.line : 1,
+      endLine: block ? block.endLine : 1,
+      fixable: Boolean(block) && VPRE_FIXABLE.has(issue.code)
+    })
+  }
+
+  return results.sort((a, b) => a.line - b.line)
+}
+
+/**
+ * 用 <div v-pre> 包裹有问题的块
+ * @param {string} source - 章节源码
+ * @param {Array} issues - lintChapter 返回的问题（只处理 fixable 的）
+ * @returns {string} 修复后的源码
+ */
+export function fixWithVPre(source, issues) {
+  const lines = source.split('\n')
+  const ranges = [...new Map(
+    issues.filter(issue => issue.fixable).map(issue => [issue.line, issue.endLine])
+  )].sort((a, b) => b[0] - a[0])
+
+  // 从后向前插入，前面的行号不受影响；前后留空行，块内的 markdown 照常渲染
+  for (const [line, endLine] of ranges) {
+    lines.splice(endLine, 0, '', '</div>')
+    lines.splice(line - 1, 0, '<div v-pre>', '')
+  }
+
+  return lines.join('\n')
+}
+
+/**
+ * 列出 docs 下所有书籍的章节文件（book_zh/**\/*.md）
+ * @param {string} docsDir - docs 目录
+ * @returns {Array<string>} 绝对路径
+ */
+export function findChapterFiles(docsDir) {
+  const files = []
+
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.name.startsWith('.') || entry.name === 'node_modules') continue
+      const fullPath = path.join(dir, entry.name)
+      if (entry.isDirectory()) {
+        walk(fullPath)
+      } else if (entry.name.endsWith('.md') && fullPath.split(path.sep).includes('book_zh')) {
+        files.push(fullPath)
+      }
+    }
+  }
+  walk(docsDir)
+
+  return files.sort()
+}
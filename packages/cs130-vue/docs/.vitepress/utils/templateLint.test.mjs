@@ -0,0 +1,116 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { spawnSync } from 'child_process'
+import { fileURLToPath } from 'url'
+import { createLintRenderer, lintChapter, fixWithVPre } from './templateLint.js'
+
+const packageDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../..')
+let docsDir
+let md
+
+// 章节写入临时 docs 目录下的 book_zh/，与真实章节一样经过 templateEscape
+function lint(source, name = 'chapter.md') {
+  const file = path.join(docsDir, '07-compiler', 'book_zh', name)
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  fs.writeFileSync(file, source)
+  return lintChapter(md, file, docsDir)
+}
+
+const summary = (issues) => issues.map(issue => `${issue.code} ${issue.line}-${issue.endLine}${issue.fixable ? ' fixable' : ''}`)
+
+before(async () => {
+  docsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'template-lint-'))
+  md = await createLintRenderer(docsDir)
+})
+
+after(() => {
+  fs.rmSync(docsDir, { recursive: true, force: true })
+})
+
+test('正文、代码块与 HTML 块中的插值已由 templateEscape 转义', () => {
+  const source = [
+    '# 插值的编译',
+    '',
+    '模板中的 {{ msg }} 会被编译为 `_toDisplayString(msg)`，`{{ count + 1 }}` 同理。',
+    '',
+    '```vue',
+    '<template>',
+    '  <div v-if="show" @click="toggle">{{ msg }}</div>',
+    '</template>',
+    '```',
+    '',
+    '<div class="tip">',
+    '  <p>{{ 不会被求值 }}</p>',
+    '</div>'
+  ].join('\n')
+
+  assert.deepEqual(lint(source), [])
+})
+
+test('HTML 块中的指令与组件标签不会被转义，由检查报告到所在的块', () => {
+  const source = [
+    '# 事件处理',
+    '',
+    '下面的按钮演示了 v-on 的编译结果：',
+    '',
+    '<button @click="count++">加一</button>',
+    '',
+    '<div class="demo" v-if="visible">',
+    '  <span>内容</span>',
+    '</div>',
+    '',
+    '<KeepAlive>',
+    '</KeepAlive>'
+  ].join('\n')
+
+  assert.deepEqual(summary(lint(source)), [
+    'directive 5-5 fixable',
+    'directive 7-9 fixable',
+    'component 11-12 fixable'
+  ])
+
+  // templateEscape 只处理插值与不成对的标签，这些写法原样进入 Vue 模板
+  const html = md.render(source, { relativePath: '07-compiler/book_zh/chapter.md', frontmatter: {} })
+  assert.match(html, /<button @click="count\+\+">/)
+  assert.match(html, /v-if="visible"/)
+})
+
+test('用 v-pre 包裹后不再报告，页面内容不变', () => {
+  const source = [
+    '---',
+    'title: 事件处理',
+    '---',
+    '',
+    '# 事件处理',
+    '',
+    '<button @click="count++">加一</button>',
+    '',
+    '正文保持原样。'
+  ].join('\n')
+
+  const issues = lint(source)
+  // 行号包含 front matter
+  assert.deepEqual(summary(issues), ['directive 7-7 fixable'])
+
+  const fixed = fixWithVPre(source, issues)
+  assert.match(fixed, /<div v-pre>\n\n<button @click="count\+\+">加一<\/button>\n\n<\/div>/)
+  assert.deepEqual(lint(fixed), [])
+})
+
+test('有意使用 Vue 语法的章节只报告会使构建失败的问题', () => {
+  const intended = ['---', 'vueTemplate: true', '---', '', '<button @click="count++">{{ count }}</button>'].join('\n')
+  assert.deepEqual(lint(intended), [])
+
+  const broken = ['---', 'vueTemplate: true', '---', '', '<div v-if="ok">', '', '未闭合的 {{ count }}'].join('\n')
+  const issues = lint(broken)
+  assert.deepEqual(issues.map(issue => [issue.code, issue.fixable]), [['template-error', false]])
+})
+
+test('lint:chapters 检查真实的书籍，模板语法密集的编译器一书没有 error', () => {
+  const result = spawnSync(process.execPath, ['scripts/lint-chapters.js', '07-compiler'], { cwd: packageDir, encoding: 'utf-8' })
+  assert.equal(result.status, 0, result.stderr)
+  assert.match(result.stdout, /检查了 \d+ 个章节/)
+})
@@ -0,0 +1,16 @@
+/**
+ * 页面所属的构建单元，不依赖 Node 模块，供 config（utils/buildUnits.js）与浏览器端（theme/buildUnit.js）共用
+ */
+
+export const SITE_UNIT = '_site'
+
+/**
+ * 页面所属的构建单元
+ * @param {string} relativePath - 相对 docs/ 的路径，如 01-reactive/book_zh/index.md
+ * @param {Array<string>} bookNames - 所有书籍目录名
+ * @returns {string} 书籍目录名或 SITE_UNIT
+ */
+export function unitOfPath(relativePath, bookNames) {
+  const [top] = relativePath.replace(/^\/+/, '').split('/')
+  return bookNames.includes(top) ? top : SITE_UNIT
+}
@@ -0,0 +1,108 @@
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { readToc, flattenChapters } from '../../../../../shared/tocParser.mjs'
+import { createDiagnostics } from './diagnostics.js'
+import { readAllTocs } from './parseToc.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+
+/**
+ * 收集 book_zh 目录下所有 markdown 文件（相对路径，不含 toc.md）
+ * @param {string} dir - book_zh 目录
+ * @param {string} prefix - 递归时的相对路径前缀
+ * @returns {Array<string>} 如 ['index.md', 'design/xxx.md']
+ */
+function collectMarkdownFiles(dir, prefix = '') {
+  const files = []
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    // 跳过隐藏目录（如 .book_task、.book_guide）
+    if (entry.name.startsWith('.')) continue
+
+    const relPath = prefix ? `${prefix}/${entry.name}` : entry.name
+    if (entry.isDirectory()) {
+      files.push(...collectMarkdownFiles(path.join(dir, entry.name), relPath))
+    } else if (entry.name.endsWith('.md') && relPath !== 'toc.md') {
+      files.push(relPath)
+    }
+  }
+
+  return files
+}
+
+/**
+ * 校验单个 toc.md：缺失的章节文件、未被 toc 引用的文件、重复链接
+ * @param {string} tocPath - toc.md 文件的路径
+ * @param {Object} tree - toc 语法树，未提供时读取 tocPath
+ * @returns {Object} { tocPath, missing, orphans, duplicates }
+ */
+export function validateToc(tocPath, tree = readToc(tocPath)) {
+  const bookDir = path.dirname(tocPath)
+  const seen = new Map()
+  const missing = []
+  const duplicates = []
+
+  for (const chapter of flattenChapters(tree)) {
+    const { line, column, title: text, target: linkPath } = chapter
+    // 没有链接、绝对链接和外部链接不在 book_zh 内，不做校验
+    if (!linkPath || linkPath.startsWith('/') || /^[a-z]+:/i.test(linkPath)) continue
+
+    const target = path.posix.normalize(linkPath)
+    const entry = { line, column, text, link: target }
+
+    if (seen.has(target)) {
+      duplicates.push({ ...entry, firstLine: seen.get(target).line })
+      continue
+    }
+    seen.set(target, entry)
+
+    if (!fs.existsSync(path.join(bookDir, target))) {
+      missing.push(entry)
+    }
+  }
+
+  const orphans = collectMarkdownFiles(bookDir)
+    .filter(file => !seen.has(file))
+    .sort()
+
+  return { tocPath, missing, orphans, duplicates }
+}
+
+/**
+ * 批量校验多个模块的 toc.md
+ *   缺失的章节文件 -> warning（计划中的章节）
+ *   重复链接       -> error
+ *   未被引用的文件 -> info
+ * @param {Array} modules - 模块配置数组 [{name: '01-reactive', path: '/01-reactive/'}]
+ * @param {Object} options - { diagnostics: 诊断收集器, tocs: readAllTocs 的结果，未提供时从文件读取 }
+ * @returns {Array} 每个模块的校验结果
+ */
+export function validateAllTocs(modules, { diagnostics = createDiagnostics(), tocs = readAllTocs(modules) } = {}) {
+  // __dirname 是 .vitepress/utils/，所以 ../../ 是 docs/
+  const docsDir = path.resolve(__dirname, '../../')
+  const reports = []
+
+  for (const module of modules) {
+    const tree = tocs.get(module.name)
+    if (!tree) continue
+
+    const tocPath = path.join(docsDir, module.name, 'book_zh', 'toc.md')
+    const report = { name: module.name, ...validateToc(tocPath, tree) }
+    reports.push(report)
+
+    for (const { line, column, link } of report.missing) {
+      diagnostics.warn('missing-file', `章节文件不存在：${link}`, { file: tocPath, line, column })
+    }
+    for (const { line, column, link, firstLine } of report.duplicates) {
+      diagnostics.error('duplicate-link', `重复链接：${link}（首次出现于第 ${firstLine} 行）`, { file: tocPath, line, column })
+    }
+    for (const orphan of report.orphans) {
+      diagnostics.info('orphan-file', '文件未被 toc.md 引用', {
+        file: path.join(path.dirname(tocPath), orphan)
+      })
+    }
+  }
+
+  return reports
+}
@@ -0,0 +1,310 @@
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { spawnSync } from 'child_process'
+import { fileURLToPath } from 'url'
+import { ROOT_DIR, getBooks, packageBase } from '../../../shared/books.mjs'
+import { SITE_UNIT, unitOfPath, mergeSearchIndexes } from '../docs/.vitepress/utils/buildUnits.js'
+
+/**
+ * 按书籍增量构建 cs130-vue
+ *
+ *   node scripts/build-books.js                 只重新构建内容有变化的单元
+ *   node scripts/build-books.js --force         重新构建全部单元
+ *   node scripts/build-books.js --dry-run       只输出构建计划
+ *
+ * 每本书（docs/<book>/）与站点页面（首页、guide/ 等，单元名 _site）是独立的构建单元，
+ * 分别以 CS130_BUILD_UNIT=<单元> 构建到 .temp/units/<单元>，再合并到 dist/cs130-vue。
+ * 单元的内容哈希记录在 dist/cs130-vue/.build-units.json 中，哈希未变且输出完整的单元会被跳过：
+ *   共享输入   docs/.vitepress、package.json、shared/、所有书籍的 toc.md、base 路径、VitePress 版本
+ *   书籍单元   docs/<book>/ 下的全部文件
+ *   站点单元   站点页面，以及各书籍的章节列表和进度文件（写作进度页面由此生成）
+ * 共享输入变化时全部单元都会重新构建。构建前对要重新构建的书籍运行章节检查和进度文件检查。
+ * 每个单元的搜索索引保存在 .build-units/<单元>.search.json，合并为整站的 search-index.<语言>.json，
+ * 所以在任何一本书中都能搜索到全部页面。
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const packageDir = path.resolve(__dirname, '..')
+const docsDir = path.join(packageDir, 'docs')
+const outDir = path.join(ROOT_DIR, 'dist', 'cs130-vue')
+const tempDir = path.join(packageDir, '.temp', 'units')
+const manifestPath = path.join(outDir, '.build-units.json')
+const searchDir = '.build-units'
+
+// 清单格式变化时递增，旧清单视为不存在
+const MANIFEST_VERSION = 2
+
+const args = process.argv.slice(2)
+const force = args.includes('--force')
+const dryRun = args.includes('--dry-run')
+
+const bookNames = getBooks('cs130-vue').map(book => book.name)
+const units = [SITE_UNIT, ...bookNames]
+
+/**
+ * 递归列出目录下的文件（相对 baseDir 的路径，使用 /）
+ * @param {string} dir - 目录
+ * @param {string} baseDir - 路径相对的目录
+ * @param {Function} skip - (relativePath) => boolean，跳过的文件或目录
+ * @returns {Array<string>}
+ */
+function listFiles(dir, baseDir = dir, skip = () => false) {
+  if (!fs.existsSync(dir)) return []
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const full = path.join(dir, entry.name)
+    const relative = path.relative(baseDir, full).split(path.sep).join('/')
+    if (skip(relative)) return []
+    return entry.isDirectory() ? listFiles(full, baseDir, skip) : [relative]
+  }).sort()
+}
+
+/**
+ * 计算一组输入的哈希
+ * @param {Array} inputs - [[名称, 内容]]，内容为字符串或 Buffer
+ * @returns {string}
+ */
+function hashInputs(inputs) {
+  const hash = crypto.createHash('sha256')
+  for (const [name, content] of inputs) {
+    hash.update(`${name}\0`).update(content).update('\0')
+  }
+  return hash.digest('hex').slice(0, 16)
+}
+
+/**
+ * 目录下全部文件作为哈希输入
+ */
+function fileInputs(dir, baseDir, skip) {
+  return listFiles(dir, baseDir, skip).map(file => [file, fs.readFileSync(path.join(baseDir, file))])
+}
+
+/**
+ * 所有单元共享的输入
+ * @returns {string}
+ */
+function sharedHash() {
+  const vitepressVersion = JSON.parse(
+    fs.readFileSync(path.join(packageDir, 'node_modules', 'vitepress', 'package.json'), 'utf-8')
+  ).version
+
+  return hashInputs([
+    ['base', packageBase('cs130-vue')],
+    ['vitepress', vitepressVersion],
+    ['package.json', fs.readFileSync(path.join(packageDir, 'package.json'))],
+    ...fileInputs(path.join(docsDir, '.vitepress'), packageDir, file => /\.vitepress\/(cache|dist)$/.test(file)),
+    ...fileInputs(path.join(ROOT_DIR, 'shared'), ROOT_DIR),
+    ...bookNames
+      .map(name => path.join(docsDir, name, 'book_zh', 'toc.md'))
+      .filter(file => fs.existsSync(file))
+      .map(file => [path.relative(docsDir, file), fs.readFileSync(file)])
+  ])
+}
+
+/**
+ * 单元自身的输入
+ * @param {string} unit - 单元名
+ * @returns {string}
+ */
+function unitHash(unit) {
+  if (unit !== SITE_UNIT) {
+    return hashInputs(fileInputs(path.join(docsDir, unit), docsDir))
+  }
+
+  const isSitePage = (file) => {
+    const [top] = file.split('/')
+    return top.startsWith('.') || bookNames.includes(top)
+  }
+  return hashInputs([
+    ...fileInputs(docsDir, docsDir, isSitePage),
+    // 写作进度页面只取决于章节是否存在和进度文件
+    ...bookNames.map(name => [
+      `${name}/`,
+      listFiles(path.join(docsDir, name, 'book_zh'), docsDir)
+        .map(file => file.endsWith('-progress.json') ? `${file}\n${fs.readFileSync(path.join(docsDir, file), 'utf-8')}` : file)
+        .join('\n')
+    ])
+  ])
+}
+
+/**
+ * 读取合并清单；不存在或版本不符时返回 null
+ */
+function readManifest() {
+  if (!fs.existsSync(manifestPath)) return null
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'))
+  return manifest.version === MANIFEST_VERSION ? manifest : null
+}
+
+function writeManifest(manifest) {
+  // 所有单元的页面哈希合并为一份 hashmap.json（VitePress 客户端在页面缺失时会重新获取它）
+  const hashmap = Object.assign({}, ...Object.values(manifest.units).map(unit => unit.hashmap))
+  fs.writeFileSync(path.join(outDir, 'hashmap.json'), JSON.stringify(hashmap))
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n')
+}
+
+/**
+ * 删除文件，并移除因此变空的上级目录（不超过 outDir）
+ */
+function removeFile(file) {
+  const target = path.join(outDir, file)
+  if (!fs.existsSync(target)) return
+  fs.rmSync(target)
+
+  let dir = path.dirname(target)
+  while (dir !== outDir && fs.readdirSync(dir).length === 0) {
+    fs.rmdirSync(dir)
+    dir = path.dirname(dir)
+  }
+}
+
+/**
+ * 单元的输出中属于它的文件：书籍单元只取 <book>/ 下的页面，站点单元取其余页面；
+ * 两者的 assets/ 都会合并，hashmap.json 由清单统一生成
+ */
+function ownsFile(unit, file) {
+  if (file.startsWith('assets/') || file === 'hashmap.json') return false
+  return unitOfPath(file, bookNames) === unit
+}
+
+/**
+ * 构建单个单元
+ * @param {string} unit - 单元名
+ * @returns {string} 单元的输出目录
+ */
+function buildUnit(unit) {
+  const unitDir = path.join(tempDir, unit)
+  fs.rmSync(unitDir, { recursive: true, force: true })
+
+  const result = spawnSync('npx', ['vitepress', 'build', 'docs', '--outDir', unitDir], {
+    cwd: packageDir,
+    stdio: 'inherit',
+    shell: process.platform === 'win32',
+    env: { ...process.env, CS130_BUILD_UNIT: unit, CS130_SEARCH_INDEX: `${unitDir}.search.json` }
+  })
+  if (result.status !== 0) {
+    throw new Error(`构建 ${unit} 失败`)
+  }
+  return unitDir
+}
+
+/**
+ * 把单元的输出合并到 dist/cs130-vue
+ * @param {string} unit - 单元名
+ * @param {string} unitDir - 单元的输出目录
+ * @param {Object|undefined} previous - 清单中该单元上一次的记录
+ * @returns {Object} 清单中该单元的新记录（不含 hash）
+ */
+function mergeUnit(unit, unitDir, previous) {
+  const search = `${searchDir}/${unit}.search.json`
+  fs.mkdirSync(path.join(outDir, searchDir), { recursive: true })
+  fs.renameSync(`${unitDir}.search.json`, path.join(outDir, search))
+
+  const output = listFiles(unitDir)
+  const files = output.filter(file => ownsFile(unit, file))
+  const assets = output.filter(file => file.startsWith('assets/'))
+
+  const current = new Set(files)
+  for (const file of previous?.files || []) {
+    if (!current.has(file)) removeFile(file)
+  }
+  for (const file of [...files, ...assets]) {
+    fs.mkdirSync(path.dirname(path.join(outDir, file)), { recursive: true })
+    fs.copyFileSync(path.join(unitDir, file), path.join(outDir, file))
+  }
+
+  const hashmapFile = path.join(unitDir, 'hashmap.json')
+  const hashmap = fs.existsSync(hashmapFile) ? JSON.parse(fs.readFileSync(hashmapFile, 'utf-8')) : {}
+  fs.rmSync(unitDir, { recursive: true, force: true })
+
+  return { files, assets, search, hashmap }
+}
+
+/**
+ * 合并所有单元的搜索索引，写入 search-index.<语言>.json（搜索框从这里加载，见 utils/buildUnits.js）
+ */
+function writeSearchIndex(manifest) {
+  const byLocale = {}
+  for (const { search } of Object.values(manifest.units)) {
+    const indexes = JSON.parse(fs.readFileSync(path.join(outDir, search), 'utf-8'))
+    for (const [locale, index] of Object.entries(indexes)) {
+      (byLocale[locale] ||= []).push(index)
+    }
+  }
+  for (const [locale, indexes] of Object.entries(byLocale)) {
+    fs.writeFileSync(path.join(outDir, `search-index.${locale}.json`), JSON.stringify(mergeSearchIndexes(indexes)))
+  }
+}
+
+/**
+ * 删除不再被任何单元引用的 assets（资源文件名带内容哈希，旧版本在重新构建后即失效）
+ */
+function removeUnusedAssets(manifest) {
+  const used = new Set(Object.values(manifest.units).flatMap(unit => unit.assets))
+  for (const file of listFiles(path.join(outDir, 'assets'), outDir)) {
+    if (!used.has(file)) removeFile(file)
+  }
+}
+
+/**
+ * 运行构建前检查
+ */
+function runChecks(books) {
+  const checks = [['scripts/progress.js', 'check']]
+  if (books.length) checks.unshift(['scripts/lint-chapters.js', ...books])
+
+  for (const check of checks) {
+    const result = spawnSync(process.execPath, check, { cwd: packageDir, stdio: 'inherit' })
+    if (result.status !== 0) process.exit(result.status || 1)
+  }
+}
+
+const previous = readManifest()
+const shared = sharedHash()
+const plan = units.map(unit => {
+  const hash = hashInputs([['shared', shared], ['unit', unitHash(unit)]])
+  const record = previous?.units[unit]
+  let reason = null
+  if (force) reason = '--force'
+  else if (!record) reason = '尚未构建'
+  else if (previous.shared !== shared) reason = '共享输入变化'
+  else if (record.hash !== hash) reason = '内容变化'
+  else if ([...record.files, record.search].some(file => !fs.existsSync(path.join(outDir, file)))) reason = '输出不完整'
+  return { unit, hash, reason }
+})
+
+for (const { unit, reason } of plan) {
+  console.log(`build: ${reason ? '构建' : '跳过'} ${unit}${reason ? `（${reason}）` : ''}`)
+}
+const pending = plan.filter(item => item.reason)
+
+if (!dryRun) {
+  runChecks(pending.map(item => item.unit).filter(unit => unit !== SITE_UNIT))
+
+  // 没有可用的清单时，dist/cs130-vue 中的文件来历不明（如整站构建的产物），先清空
+  if (!previous) fs.rmSync(outDir, { recursive: true, force: true })
+  fs.mkdirSync(outDir, { recursive: true })
+
+  const manifest = {
+    version: MANIFEST_VERSION,
+    shared,
+    // 已从 books.json 中移除的书籍不再保留
+    units: Object.fromEntries(Object.entries(previous?.units || {}).filter(([unit]) => units.includes(unit)))
+  }
+  for (const [unit, record] of Object.entries(previous?.units || {})) {
+    if (!units.includes(unit)) [...record.files, record.search].forEach(removeFile)
+  }
+
+  for (const { unit, hash } of pending) {
+    const record = mergeUnit(unit, buildUnit(unit), manifest.units[unit])
+    manifest.units[unit] = { hash, ...record }
+    // 每个单元完成后立即记录，中途失败时已完成的单元不必重新构建
+    writeManifest(manifest)
+  }
+
+  removeUnusedAssets(manifest)
+  writeSearchIndex(manifest)
+  writeManifest(manifest)
+  fs.rmSync(tempDir, { recursive: true, force: true })
+  console.log(`build: 构建了 ${pending.length} 个单元，跳过 ${plan.length - pending.length} 个，输出到 ${path.relative(process.cwd(), outDir)}`)
+}
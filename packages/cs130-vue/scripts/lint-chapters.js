@@ -0,0 +1,64 @@
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { disposeMdItInstance } from 'vitepress'
+import {
+  createLintRenderer,
+  lintChapter,
+  fixWithVPre,
+  findChapterFiles
+} from '../docs/.vitepress/utils/templateLint.js'
+import { createDiagnostics, printDiagnostics } from '../docs/.vitepress/utils/diagnostics.js'
+
+/**
+ * 构建前检查章节中会破坏 Vue 模板编译的写法
+ *
+ *   node scripts/lint-chapters.js                 检查全部书籍
+ *   node scripts/lint-chapters.js 07-compiler     只检查指定书籍
+ *   node scripts/lint-chapters.js --fix           用 <div v-pre> 包裹可修复的块
+ *
+ * 存在 error 时以非零状态退出。
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const docsDir = path.resolve(__dirname, '../docs')
+
+const args = process.argv.slice(2)
+const fix = args.includes('--fix')
+const books = args.filter(arg => !arg.startsWith('--'))
+
+const files = findChapterFiles(docsDir).filter(file => {
+  return !books.length || books.includes(path.relative(docsDir, file).split(path.sep)[0])
+})
+
+const md = await createLintRenderer(docsDir)
+const diagnostics = createDiagnostics()
+let fixedFiles = 0
+
+for (const file of files) {
+  const issues = lintChapter(md, file, docsDir)
+  if (!issues.length) continue
+
+  if (fix && issues.some(issue => issue.fixable)) {
+    fs.writeFileSync(file, fixWithVPre(fs.readFileSync(file, 'utf-8'), issues))
+    fixedFiles++
+  }
+
+  for (const issue of issues) {
+    const fixed = fix && issue.fixable
+    const severity = ['template-error', 'sfc-block'].includes(issue.code) ? 'error' : 'warning'
+    diagnostics.report(fixed ? 'info' : severity, issue.code, fixed ? `已用 v-pre 包裹：${issue.message}` : issue.message, {
+      file,
+      line: issue.line,
+      column: 1
+    })
+  }
+}
+
+disposeMdItInstance()
+printDiagnostics(diagnostics, { verbose: fix, label: 'lint' })
+console.log(`检查了 ${files.length} 个章节${fix ? `，修复了 ${fixedFiles} 个文件` : ''}`)
+
+if (diagnostics.count('error') > 0) {
+  process.exitCode = 1
+}
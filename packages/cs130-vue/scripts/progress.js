@@ -0,0 +1,59 @@
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { getBooks } from '../../../shared/books.mjs'
+import { readToc } from '../../../shared/tocParser.mjs'
+import {
+  progressPath,
+  deriveProgress,
+  buildProgress,
+  stringifyProgress,
+  checkAllProgress
+} from '../docs/.vitepress/utils/progress.js'
+import { createDiagnostics, printDiagnostics } from '../docs/.vitepress/utils/diagnostics.js'
+
+/**
+ * 书籍写作进度文件（<book>/book_zh/<name>-progress.json）
+ *
+ *   node scripts/progress.js check [book...]              校验 schema，报告与 toc.md / 章节文件不一致之处
+ *   node scripts/progress.js generate [book...]           为缺少进度文件的书籍生成
+ *   node scripts/progress.js generate --update [book...]  同时按 toc.md 与章节文件更新已有的进度文件
+ *
+ * check 存在 error（无法解析或 schema 校验失败）时以非零状态退出，--strict 时 warning 也会失败。
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const docsDir = path.resolve(__dirname, '../docs')
+
+const [command, ...args] = process.argv.slice(2)
+const names = args.filter(arg => !arg.startsWith('--'))
+const books = getBooks('cs130-vue').filter(book => !names.length || names.includes(book.name))
+
+if (command === 'check') {
+  const diagnostics = createDiagnostics()
+  checkAllProgress(books, docsDir, diagnostics)
+  printDiagnostics(diagnostics, { label: 'progress' })
+  console.log(`检查了 ${books.length} 本书的进度文件`)
+
+  if (diagnostics.count(args.includes('--strict') ? 'warning' : 'error') > 0) {
+    process.exitCode = 1
+  }
+} else if (command === 'generate') {
+  const update = args.includes('--update')
+
+  for (const book of books) {
+    const file = progressPath(docsDir, book.name)
+    const existing = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : null
+    if (existing && !update) continue
+
+    const tree = readToc(path.join(docsDir, book.name, 'book_zh', 'toc.md'))
+    const content = stringifyProgress(buildProgress(book, deriveProgress(book, tree, docsDir), existing))
+    if (existing && content === fs.readFileSync(file, 'utf-8')) continue
+
+    fs.writeFileSync(file, content)
+    console.log(`${existing ? '更新' : '生成'} ${path.relative(process.cwd(), file)}`)
+  }
+} else {
+  console.error('用法：node scripts/progress.js <check|generate> [--update] [--strict] [book...]')
+  process.exitCode = 1
+}
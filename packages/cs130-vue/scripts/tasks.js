@@ -0,0 +1,223 @@
+import fs from 'fs'
+import path from 'path'
+import { execFileSync } from 'child_process'
+import { fileURLToPath } from 'url'
+import { getBooks } from '../../../shared/books.mjs'
+import { readToc } from '../../../shared/tocParser.mjs'
+import {
+  progressPath,
+  deriveProgress,
+  buildProgress,
+  stringifyProgress,
+  taskStates
+} from '../docs/.vitepress/utils/progress.js'
+import {
+  nextTask,
+  claimTask,
+  completeTask,
+  reopenTask,
+  mergeProgress
+} from '../docs/.vitepress/utils/tasks.js'
+
+/**
+ * 写作任务队列（基于各书的 <name>-progress.json）
+ *
+ *   node scripts/tasks.js list <book>                      列出待写、进行中和已完成的章节
+ *   node scripts/tasks.js claim <book> [chapter]           认领章节，省略时认领下一个待写章节
+ *   node scripts/tasks.js complete <book> <chapter>        标记完成（章节文件必须存在）
+ *   node scripts/tasks.js reopen <book> <chapter> [--force]  重新打开已完成或释放自己认领的章节，--force 释放他人的认领
+ *   node scripts/tasks.js status [book...]                 各书进度汇总
+ *   node scripts/tasks.js merge-driver <base> <ours> <theirs>   供 git 合并进度文件
+ *
+ * chapter 为 toc.md 中的链接目标，如 design/xxx.md。
+ * 认领人依次取 --agent、环境变量 BOOK_AGENT、git config user.name。
+ * 每次操作前都会按 toc.md 同步任务：新增的章节进入待写，不在 toc.md 中的任务保持原状（由 progress.js check 报告）。
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const docsDir = path.resolve(__dirname, '../docs')
+
+/**
+ * 解析命令行参数
+ * @param {Array<string>} argv - 参数
+ * @returns {Object} { positional, options }
+ */
+function parseArgs(argv) {
+  const positional = []
+  const options = {}
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([\w-]+)(?:=(.*))?$/)
+    if (!match) {
+      positional.push(argv[i])
+    } else if (match[2] !== undefined) {
+      options[match[1]] = match[2]
+    } else {
+      options[match[1]] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true
+    }
+  }
+  return { positional, options }
+}
+
+function resolveAgent(options) {
+  if (typeof options.agent === 'string') return options.agent
+  if (process.env.BOOK_AGENT) return process.env.BOOK_AGENT
+  try {
+    const name = execFileSync('git', ['config', 'user.name'], { encoding: 'utf-8' }).trim()
+    if (name) return name
+  } catch {
+    // 没有配置 git 用户名
+  }
+  throw new Error('无法确定认领人，请使用 --agent <name> 或设置 BOOK_AGENT')
+}
+
+function findBook(name) {
+  const book = getBooks('cs130-vue').find(b => b.name === name)
+  if (!book) {
+    throw new Error(`未知的书籍：${name}（可选：${getBooks('cs130-vue').map(b => b.name).join('、')}）`)
+  }
+  return book
+}
+
+/**
+ * 读取进度文件并按 toc.md 同步任务（文件不存在时生成）
+ * @param {Object} book - 书籍配置
+ * @returns {Object} { file, progress, exists, normalize }
+ */
+function loadProgress(book) {
+  const file = progressPath(docsDir, book.name)
+  const bookDir = path.dirname(file)
+  const existing = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : null
+  const derived = deriveProgress(book, readToc(path.join(bookDir, 'toc.md')), docsDir)
+
+  return {
+    file,
+    progress: buildProgress(book, derived, existing),
+    exists: (target) => fs.existsSync(path.join(bookDir, target)),
+    // 操作后按 toc 顺序重新排列任务，保证文件内容只由任务状态决定
+    normalize: (progress, now) => buildProgress(book, derived, progress, now)
+  }
+}
+
+// 先写临时文件再重命名，避免中断时留下不完整的 JSON
+function writeProgress(file, progress) {
+  fs.writeFileSync(`${file}.tmp`, stringifyProgress(progress))
+  fs.renameSync(`${file}.tmp`, file)
+}
+
+function printList(book, progress) {
+  const groups = { todo: [], claimed: [], completed: [] }
+  for (const [target, task] of taskStates(progress)) {
+    groups[task.state].push(task.state === 'claimed' ? `${target}  ← ${task.agent}（${task.claimed_at}）` : target)
+  }
+
+  console.log(`${book.title}（${book.name}）`)
+  for (const [state, label] of [['claimed', '进行中'], ['todo', '待写'], ['completed', '已完成']]) {
+    console.log(`\n${label}（${groups[state].length}）`)
+    groups[state].forEach(line => console.log(`  ${line}`))
+  }
+}
+
+function printStatus(books) {
+  const rows = books.map(book => {
+    const states = [...taskStates(loadProgress(book).progress).values()]
+    const count = (state) => states.filter(task => task.state === state).length
+    const agents = [...new Set(states.filter(task => task.state === 'claimed').map(task => task.agent))]
+    return [
+      book.name,
+      String(count('completed')),
+      String(count('claimed')),
+      String(count('todo')),
+      `${Math.round(count('completed') / Math.max(states.length, 1) * 100)}%`,
+      agents.join(', ')
+    ]
+  })
+
+  const header = ['书籍', '已完成', '进行中', '待写', '完成度', '写作中']
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)))
+  for (const row of [header, ...rows]) {
+    console.log(row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd())
+  }
+}
+
+/**
+ * git merge driver：合并进度文件，有冲突的章节输出到 stderr 并以状态 1 退出
+ *   git config merge.book-progress.driver "node packages/cs130-vue/scripts/tasks.js merge-driver %O %A %B"
+ * 空文件或不存在的文件视为该方删除了进度文件。
+ */
+function runMergeDriver([basePath, oursPath, theirsPath]) {
+  const read = (file) => {
+    const source = fs.existsSync(file) ? fs.readFileSync(file, 'utf-8') : ''
+    return source.trim() ? JSON.parse(source) : null
+  }
+
+  const { progress, conflicts, removed } = mergeProgress(read(basePath), read(oursPath), read(theirsPath))
+  fs.writeFileSync(oursPath, progress ? stringifyProgress(progress) : '')
+
+  if (removed) {
+    console.error(`进度文件冲突：${removed === 'ours' ? '当前分支' : '合并进来的分支'}删除了进度文件，另一方有修改，已保留修改`)
+    return 1
+  }
+  for (const target of conflicts) {
+    console.error(`进度文件冲突：${target} 在两个分支中被改为不同状态，已保留 ${JSON.stringify(taskStates(progress).get(target) || null)}`)
+  }
+  return conflicts.length ? 1 : 0
+}
+
+function main() {
+  const [command, ...rest] = process.argv.slice(2)
+  const { positional, options } = parseArgs(rest)
+
+  if (command === 'merge-driver') {
+    return runMergeDriver(positional)
+  }
+
+  if (command === 'status') {
+    const books = positional.length ? positional.map(findBook) : getBooks('cs130-vue')
+    printStatus(books)
+    return 0
+  }
+
+  if (!['list', 'claim', 'complete', 'reopen'].includes(command) || !positional[0]) {
+    console.error('用法：node scripts/tasks.js <list|claim|complete|reopen|status> <book> [chapter] [--agent <name>] [--force]')
+    return 1
+  }
+
+  const book = findBook(positional[0])
+  const { file, progress, exists, normalize } = loadProgress(book)
+
+  if (command === 'list') {
+    printList(book, progress)
+    return 0
+  }
+
+  const agent = resolveAgent(options)
+  const now = new Date()
+  let target = positional[1]
+  let updated
+
+  if (command === 'claim') {
+    target = target || nextTask(progress)
+    if (!target) {
+      console.log(`${book.name} 没有待写的章节`)
+      return 0
+    }
+    updated = claimTask(progress, target, agent, now)
+  } else {
+    if (!target) throw new Error(`${command} 需要指定章节`)
+    updated = command === 'complete'
+      ? completeTask(progress, target, agent, exists, now)
+      : reopenTask(progress, target, agent, now, { force: options.force === true })
+  }
+
+  writeProgress(file, normalize(updated, now))
+  const verbs = { claim: '已认领', complete: '已完成', reopen: '已重新打开' }
+  console.log(`${verbs[command]} ${book.name}/${target}（${agent}）`)
+  return 0
+}
+
+try {
+  process.exitCode = main()
+} catch (error) {
+  console.error(error.message)
+  process.exitCode = 1
+}
@@ -1,17 +1,65 @@
+import fs from 'fs'
+import path from 'path'
 import { defineConfig } from 'vitepress'
+import { loadManifest, getSite } from '../../../../shared/books.mjs'
+import booksData from './data/books.data.js'
+
+// 书籍清单来自共享清单 shared/books.json
+const manifest = loadManifest()
+const { packages } = manifest
+// 部署位置：base 与自定义域名（可用环境变量 SITE_BASE、SITE_DOMAIN 覆盖）
+const site = getSite(manifest)
+
+/**
+ * 首页 features：每个书籍 package 一项，排在首页 frontmatter 中手写的条目之前
+ * @param {Array} books - books.data.js 的数据
+ */
+function bookFeatures(books) {
+  return books.map(pkg => ({
+    icon: pkg.icon,
+    title: pkg.title,
+    details: pkg.totalBooks
+      ? `${pkg.description}。${pkg.totalBooks} 本书，${pkg.totalChapters} 章`
+      : pkg.description,
+    link: pkg.path,
+    target: '_self'
+  }))
+}
 
 export default defineConfig({
   title: 'Codebooks',
   description: '书籍集合',
-  base: '/CoderBooks/',
+  base: site.base,
   outDir: '../../../dist/portal',
   ignoreDeadLinks: true,
+
+  // 配置了自定义域名时生成 CNAME，组装后位于站点根目录
+  buildEnd({ outDir }) {
+    if (site.domain) {
+      fs.writeFileSync(path.join(outDir, 'CNAME'), `${site.domain}\n`)
+    }
+  },
+
+  vite: {
+    // shared/components 中的组件从本 package 解析 vue
+    resolve: { dedupe: ['vue'] }
+  },
+
+  // 首页 features 中的书籍由清单与各书 toc.md 生成
+  transformPageData(pageData) {
+    if (pageData.relativePath === 'index.md') {
+      pageData.frontmatter.features = [
+        ...bookFeatures(booksData.load()),
+        ...(pageData.frontmatter.features || [])
+      ]
+    }
+  },
   
   themeConfig: {
     nav: [
       { text: '首页', link: '/' },
-      { text: 'Vue3 生态系统', link: '/cs130-vue/' },
-      { text: '第二本书', link: '/book2/' }
+      // 书籍是独立的站点，以整页跳转打开，不经过门户的客户端路由
+      ...packages.map(pkg => ({ text: pkg.navText || pkg.title, link: pkg.path, target: '_self' }))
     ],
 
     sidebar: [
@@ -19,7 +67,8 @@ export default defineConfig({
         text: '欢迎',
         items: [
           { text: '介绍', link: '/' },
-          { text: '所有书籍', link: '/books' }
+          { text: '所有书籍', link: '/books' },
+          { text: '写作进度', link: '/progress' }
         ]
       }
     ],
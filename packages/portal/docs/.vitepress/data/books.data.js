@@ -0,0 +1,33 @@
+import fs from 'fs'
+import { loadManifest, bookTocPath } from '../../../../../shared/books.mjs'
+import { readToc, countChapters } from '../../../../../shared/tocParser.mjs'
+
+/**
+ * 门户书籍列表数据：来自共享清单，系列书的章节数从各书 toc.md 统计
+ */
+export default {
+  watch: ['../../../../../shared/books.json', '../../../../*/docs/*/book_zh/toc.md'],
+
+  load() {
+    return loadManifest().packages.map(pkg => {
+      const books = pkg.books || []
+      const chapters = books.reduce((sum, book) => {
+        const tocPath = bookTocPath(pkg.name, book.name)
+        return sum + (fs.existsSync(tocPath) ? countChapters(readToc(tocPath)) : 0)
+      }, 0)
+
+      return {
+        name: pkg.name,
+        path: pkg.path,
+        title: pkg.title,
+        icon: pkg.icon || '📖',
+        description: pkg.description || pkg.title,
+        audience: pkg.audience,
+        highlights: pkg.highlights || [],
+        series: pkg.series || null,
+        totalBooks: books.length,
+        totalChapters: chapters
+      }
+    })
+  }
+}
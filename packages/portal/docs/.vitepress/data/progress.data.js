@@ -0,0 +1,19 @@
+import { loadManifest } from '../../../../../shared/books.mjs'
+import { buildProgressDashboard } from '../../../../../shared/dashboard.mjs'
+
+/**
+ * 门户的写作进度看板：每个有书籍的 package 一个看板，书籍链接指向对应的站点
+ */
+export default {
+  watch: [
+    '../../../../../shared/books.json',
+    '../../../../*/docs/*/book_zh/**/*.md',
+    '../../../../*/docs/*/book_zh/*-progress.json'
+  ],
+
+  load() {
+    return loadManifest().packages
+      .filter(pkg => pkg.books?.length)
+      .map(pkg => ({ name: pkg.name, ...buildProgressDashboard(pkg.name, { linkPrefix: pkg.path }) }))
+  }
+}
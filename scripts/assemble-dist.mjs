@@ -0,0 +1,183 @@
+import fs from 'fs'
+import path from 'path'
+import { pathToFileURL } from 'url'
+import { ROOT_DIR, loadManifest } from '../shared/books.mjs'
+import { ROOT_PACKAGE } from './site.mjs'
+
+/**
+ * 把各 package 的构建产物组装成最终部署的站点
+ *
+ *   dist/portal/*        ->  dist/*            门户作为站点首页
+ *   dist/<package>/      ->  dist/<package>/   书籍 package 保持原位（outDir 即最终位置）
+ *
+ * 组装前先检查：每个 package 都已构建（目录存在且有 index.html），门户的文件不会覆盖书籍目录或其他文件。
+ * 任何检查失败都不会改动 dist/。组装完成后写入 dist/assemble-manifest.json，记录每个路径来自哪个 package；
+ * 下次组装时据此清理上一次从门户移入的文件（CI 会从缓存恢复上一次的 dist/）。
+ *
+ *   node scripts/assemble-dist.mjs [--dry-run] [--dist <dir>]
+ */
+
+export const MANIFEST_FILE = 'assemble-manifest.json'
+
+/**
+ * 递归列出目录下的文件（相对路径，使用 /）
+ * @param {string} dir - 目录
+ * @returns {Array<string>}
+ */
+export function listFiles(dir) {
+  const files = []
+  const walk = (current) => {
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      const full = path.join(current, entry.name)
+      if (entry.isDirectory()) walk(full)
+      else files.push(path.relative(dir, full).split(path.sep).join('/'))
+    }
+  }
+  walk(dir)
+  return files.sort()
+}
+
+/**
+ * 读取上一次组装的清单
+ * @param {string} distDir - dist 目录
+ * @returns {Object|null}
+ */
+export function readAssembleManifest(distDir) {
+  const file = path.join(distDir, MANIFEST_FILE)
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : null
+}
+
+/**
+ * 检查构建产物并计算组装计划，不修改任何文件
+ * @param {string} distDir - dist 目录
+ * @param {Object} options - { packages: 书籍 package 列表（默认读取 shared/books.json）, root: 根 package }
+ * @returns {Object} { packages, root, rootFiles, stale, problems: [{ code, message }] }
+ */
+export function planAssembly(distDir, { packages = loadManifest().packages, root = ROOT_PACKAGE } = {}) {
+  const problems = []
+  const previous = readAssembleManifest(distDir)
+  const previousRootFiles = new Set(previous?.root.files || [])
+
+  // 书籍 package 的 outDir 是 dist/<name>，挂载路径必须与之一致
+  const mounts = new Map()
+  for (const pkg of packages) {
+    if (pkg.path !== `/${pkg.name}/`) {
+      problems.push({ code: 'mount-mismatch', message: `${pkg.package} 的路径 ${pkg.path} 与输出目录 dist/${pkg.name} 不一致` })
+    }
+    if (pkg.name === root.name || mounts.has(pkg.name)) {
+      problems.push({ code: 'duplicate-package', message: `${pkg.package} 的输出目录 dist/${pkg.name} 与其他 package 重复` })
+    }
+    mounts.set(pkg.name, pkg)
+  }
+
+  // 每个 package 都必须有完整的构建产物
+  const checkOutput = (pkg, dir) => {
+    if (!fs.existsSync(dir)) {
+      problems.push({ code: 'missing-output', message: `${pkg.package} 尚未构建：缺少 ${path.relative(ROOT_DIR, dir)}` })
+    } else if (!fs.existsSync(path.join(dir, 'index.html'))) {
+      problems.push({ code: 'partial-output', message: `${pkg.package} 的构建不完整：${path.relative(ROOT_DIR, dir)} 中没有 index.html` })
+    }
+  }
+  for (const pkg of packages) checkOutput(pkg, path.join(distDir, pkg.name))
+  const rootDir = path.join(distDir, root.name)
+  checkOutput(root, rootDir)
+
+  const rootFiles = fs.existsSync(rootDir) ? listFiles(rootDir) : []
+
+  // 门户的文件不能落到书籍目录中，也不能覆盖 dist/ 中来历不明的文件
+  for (const file of rootFiles) {
+    const [top] = file.split('/')
+    const target = path.join(distDir, file)
+    if (mounts.has(top)) {
+      problems.push({ code: 'collision', message: `${root.name}/${file} 与 ${mounts.get(top).package} 的输出目录 dist/${top} 冲突` })
+    } else if (file === MANIFEST_FILE) {
+      problems.push({ code: 'collision', message: `${root.name}/${file} 与组装清单重名` })
+    } else if (fs.existsSync(target) && !previousRootFiles.has(file)) {
+      problems.push({ code: 'collision', message: `${root.name}/${file} 会覆盖 dist/${file}，该文件不来自任何 package` })
+    }
+  }
+
+  // 上一次从门户移入、这次已不存在的文件
+  const current = new Set(rootFiles)
+  const stale = [...previousRootFiles].filter(file => !current.has(file))
+
+  return { packages, root, rootFiles, stale, problems }
+}
+
+/**
+ * 删除文件，并移除因此变空的上级目录（不超过 distDir）
+ */
+function removeFile(distDir, file) {
+  const target = path.join(distDir, file)
+  if (!fs.existsSync(target)) return
+  fs.rmSync(target)
+
+  let dir = path.dirname(target)
+  while (dir !== distDir && fs.readdirSync(dir).length === 0) {
+    fs.rmdirSync(dir)
+    dir = path.dirname(dir)
+  }
+}
+
+/**
+ * 按计划组装站点
+ * @param {string} distDir - dist 目录
+ * @param {Object} plan - planAssembly 的结果（problems 必须为空）
+ * @param {Object} options - { now: 当前时间 }
+ * @returns {Object} 写入 dist/ 的组装清单
+ */
+export function assemble(distDir, plan, { now = new Date() } = {}) {
+  if (plan.problems.length) {
+    throw new Error('组装计划存在问题，未修改 dist/')
+  }
+
+  for (const file of plan.stale) removeFile(distDir, file)
+
+  const rootDir = path.join(distDir, plan.root.name)
+  for (const file of plan.rootFiles) {
+    const target = path.join(distDir, file)
+    fs.mkdirSync(path.dirname(target), { recursive: true })
+    fs.renameSync(path.join(rootDir, file), target)
+  }
+  fs.rmSync(rootDir, { recursive: true, force: true })
+
+  const manifest = {
+    assembled_at: now.toISOString(),
+    commit: process.env.GITHUB_SHA || null,
+    root: { package: plan.root.package, source: `${plan.root.name}/`, files: plan.rootFiles },
+    packages: plan.packages.map(pkg => ({
+      package: pkg.package,
+      path: pkg.path,
+      dir: `${pkg.name}/`,
+      files: listFiles(path.join(distDir, pkg.name)).length
+    }))
+  }
+  fs.writeFileSync(path.join(distDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n')
+  return manifest
+}
+
+// 命令行入口
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2)
+  const distIndex = args.indexOf('--dist')
+  const distDir = path.resolve(distIndex >= 0 ? args[distIndex + 1] : path.join(ROOT_DIR, 'dist'))
+
+  const plan = planAssembly(distDir)
+  if (plan.problems.length) {
+    for (const { code, message } of plan.problems) {
+      console.error(`assemble: error: ${message} [${code}]`)
+    }
+    console.error(`assemble: ${plan.problems.length} 个问题，未修改 ${path.relative(process.cwd(), distDir) || '.'}`)
+    process.exit(1)
+  }
+
+  console.log(`assemble: ${plan.root.package} -> / (${plan.rootFiles.length} 个文件${plan.stale.length ? `，清理 ${plan.stale.length} 个旧文件` : ''})`)
+  for (const pkg of plan.packages) {
+    console.log(`assemble: ${pkg.package} -> ${pkg.path}`)
+  }
+
+  if (!args.includes('--dry-run')) {
+    assemble(distDir, plan)
+    console.log(`assemble: 已写入 ${path.relative(process.cwd(), path.join(distDir, MANIFEST_FILE))}`)
+  }
+}
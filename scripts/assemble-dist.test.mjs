@@ -0,0 +1,100 @@
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { MANIFEST_FILE, listFiles, readAssembleManifest, planAssembly, assemble } from './assemble-dist.mjs'
+
+const root = { name: 'portal', package: '@codebooks/portal', path: '/' }
+const packages = [
+  { name: 'alpha', package: '@codebooks/alpha', path: '/alpha/' },
+  { name: 'beta', package: '@codebooks/beta', path: '/beta/' }
+]
+let distDir
+
+function writeFile(file, content = file) {
+  fs.mkdirSync(path.dirname(path.join(distDir, file)), { recursive: true })
+  fs.writeFileSync(path.join(distDir, file), content)
+}
+
+// 门户与两本书都已构建
+function buildAll() {
+  writeFile('portal/index.html')
+  writeFile('portal/assets/portal.js')
+  writeFile('alpha/index.html')
+  writeFile('beta/index.html')
+}
+
+const plan = (options = {}) => planAssembly(distDir, { packages, root, ...options })
+const codes = (result) => result.problems.map(problem => problem.code)
+
+beforeEach(() => {
+  distDir = fs.mkdtempSync(path.join(os.tmpdir(), 'assemble-dist-'))
+})
+
+afterEach(() => {
+  fs.rmSync(distDir, { recursive: true, force: true })
+})
+
+test('门户的文件移到 dist 根目录，书籍保持原位并写入组装清单', () => {
+  buildAll()
+  const result = plan()
+  assert.deepEqual(result.problems, [])
+  assert.deepEqual(result.rootFiles, ['assets/portal.js', 'index.html'])
+
+  const manifest = assemble(distDir, result, { now: new Date('2026-03-01T00:00:00.000Z') })
+  assert.deepEqual(listFiles(distDir), ['alpha/index.html', MANIFEST_FILE, 'assets/portal.js', 'beta/index.html', 'index.html'])
+  assert.deepEqual(readAssembleManifest(distDir), manifest)
+  assert.deepEqual(manifest.root, { package: '@codebooks/portal', source: 'portal/', files: ['assets/portal.js', 'index.html'] })
+  assert.deepEqual(manifest.packages.map(pkg => [pkg.dir, pkg.files]), [['alpha/', 1], ['beta/', 1]])
+})
+
+test('缺少或不完整的构建产物会阻止组装', () => {
+  writeFile('portal/index.html')
+  writeFile('alpha/assets/app.js')
+
+  const result = plan()
+  assert.deepEqual(codes(result), ['partial-output', 'missing-output'])
+  assert.throws(() => assemble(distDir, result), /未修改 dist/)
+  assert.equal(fs.existsSync(path.join(distDir, 'portal/index.html')), true)
+})
+
+test('路径与输出目录不一致或重复的 package', () => {
+  buildAll()
+  const result = plan({
+    packages: [
+      { ...packages[0], path: '/renamed/' },
+      packages[1],
+      { ...packages[1], package: '@codebooks/beta-copy' },
+      { name: 'portal', package: '@codebooks/other', path: '/portal/' }
+    ]
+  })
+  assert.deepEqual(codes(result), ['mount-mismatch', 'duplicate-package', 'duplicate-package'])
+})
+
+test('门户的文件不能落到书籍目录中，也不能覆盖来历不明的文件', () => {
+  buildAll()
+  writeFile('portal/alpha/extra.html')
+  writeFile(`portal/${MANIFEST_FILE}`)
+  writeFile('portal/robots.txt')
+  writeFile('robots.txt', 'unknown')
+
+  assert.deepEqual(codes(plan()), ['collision', 'collision', 'collision'])
+})
+
+test('再次组装时清理上一次从门户移入、这次已不存在的文件', () => {
+  buildAll()
+  writeFile('portal/old.html')
+  assemble(distDir, plan())
+
+  // 下一次构建：门户重新输出到 dist/portal，old.html 已删除，index.html 覆盖上一次移入的文件
+  writeFile('portal/index.html', 'new')
+  writeFile('portal/assets/portal.js')
+  const next = plan()
+  assert.deepEqual(next.problems, [])
+  assert.deepEqual(next.stale, ['old.html'])
+
+  assemble(distDir, next)
+  assert.equal(fs.existsSync(path.join(distDir, 'old.html')), false)
+  assert.equal(fs.readFileSync(path.join(distDir, 'index.html'), 'utf-8'), 'new')
+})
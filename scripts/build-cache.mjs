@@ -0,0 +1,319 @@
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { spawnSync } from 'child_process'
+import { pathToFileURL } from 'url'
+import { ROOT_DIR, getSite } from '../shared/books.mjs'
+import { ROOT_PACKAGE, SHARED_INPUTS, sitePackages } from './site.mjs'
+import { listFiles } from './assemble-dist.mjs'
+
+/**
+ * 按内容哈希缓存每个 package 的构建产物
+ *
+ *   node scripts/build-cache.mjs hash                 输出每个 package 的哈希
+ *   node scripts/build-cache.mjs status               输出每个 package 是否命中缓存
+ *   node scripts/build-cache.mjs restore              把命中的构建产物恢复到 dist/<package>，未命中的从 dist/ 中删除
+ *   node scripts/build-cache.mjs save                 把 dist/ 中尚未缓存的构建产物存入缓存，并清理过期的条目
+ *   选项：--cache <dir>（默认环境变量 BUILD_CACHE_DIR 或 .build-cache/）、--dist <dir>
+ *
+ * package 的哈希由以下输入计算：
+ *   package 目录下未被 git 忽略的文件（不含 .vitepress/cache）、共享输入（site.mjs 中的 SHARED_INPUTS）、
+ *   部署位置（base 与域名）、VitePress 版本；portal 汇总所有书籍，还包含每个书籍 package 的哈希。
+ * 只有哈希完全一致时才恢复，过期或不完整的缓存不会被使用。
+ *
+ * 缓存使用目录后端，<cache>/<package>/<hash>/ 存放构建产物，<hash>.json 记录文件列表，写完产物后才写入，
+ * 没有记录的条目视为不完整。CI 用 actions/cache 保存整个缓存目录，本地直接使用同一个目录。
+ */
+
+// 缓存格式或哈希的输入变化时递增，旧条目不再命中
+export const CACHE_VERSION = 1
+
+// 自带增量构建清单的 package（cs130-vue 的 scripts/build-books.js）会核对每个单元的内容哈希，
+// 未命中时用上一次的产物作为起点，只重新构建变化的部分
+export const INCREMENTAL_MANIFEST = '.build-units.json'
+
+/**
+ * 仓库中未被 git 忽略的文件（已跟踪且存在的文件与未跟踪的文件）
+ * @param {string} rootDir - 仓库根目录
+ * @param {Array<string>} pathspecs - 目录或文件
+ * @returns {Array<string>} 相对仓库根目录的路径
+ */
+function gitFiles(rootDir, pathspecs) {
+  const result = spawnSync('git', ['ls-files', '-co', '--exclude-standard', '-z', '--', ...pathspecs], {
+    cwd: rootDir,
+    encoding: 'utf-8'
+  })
+  if (result.status !== 0) {
+    throw new Error(`无法列出 ${pathspecs.join(', ')} 中的文件：${result.stderr.trim()}`)
+  }
+  return [...new Set(result.stdout.split('\0'))]
+    .filter(file => file && !/(^|\/)\.vitepress\/cache\//.test(file) && fs.existsSync(path.join(rootDir, file)))
+    .sort()
+}
+
+/**
+ * 计算一组输入的哈希
+ * @param {Array} inputs - [[名称, 内容]]，内容为字符串或 Buffer
+ * @returns {string}
+ */
+function hashInputs(inputs) {
+  const hash = crypto.createHash('sha256')
+  for (const [name, content] of inputs) {
+    hash.update(`${name}\0`).update(content).update('\0')
+  }
+  return hash.digest('hex').slice(0, 16)
+}
+
+/**
+ * package 使用的 VitePress 版本
+ */
+function vitepressVersion(pkg, rootDir) {
+  for (const dir of [pkg.dir, rootDir]) {
+    const file = path.join(dir, 'node_modules', 'vitepress', 'package.json')
+    if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf-8')).version
+  }
+  return 'unknown'
+}
+
+/**
+ * 计算每个 package 的内容哈希
+ * @param {Object} options - { rootDir, packages: sitePackages 的结果, site: getSite 的结果 }
+ * @returns {Object} { [package 目录名]: hash }
+ */
+export function hashPackages({ rootDir = ROOT_DIR, packages = sitePackages({ rootDir }), site = getSite() } = {}) {
+  const readInputs = (files) => files.map(file => [file, fs.readFileSync(path.join(rootDir, file))])
+  const shared = hashInputs([
+    ['version', String(CACHE_VERSION)],
+    ['site', `${site.base}\n${site.domain || ''}`],
+    ...readInputs(gitFiles(rootDir, SHARED_INPUTS))
+  ])
+
+  const hashes = {}
+  const ownHash = (pkg) => hashInputs([
+    ['shared', shared],
+    ['base', pkg.base],
+    ['vitepress', vitepressVersion(pkg, rootDir)],
+    ...readInputs(gitFiles(rootDir, [path.relative(rootDir, pkg.dir)]))
+  ])
+
+  const books = packages.filter(pkg => pkg.name !== ROOT_PACKAGE.name)
+  for (const pkg of books) hashes[pkg.name] = ownHash(pkg)
+
+  const root = packages.find(pkg => pkg.name === ROOT_PACKAGE.name)
+  if (root) {
+    hashes[root.name] = hashInputs([
+      ['own', ownHash(root)],
+      ...books.map(pkg => [pkg.name, hashes[pkg.name]])
+    ])
+  }
+
+  return hashes
+}
+
+/**
+ * 复制目录
+ */
+function copyDir(from, to) {
+  fs.rmSync(to, { recursive: true, force: true })
+  fs.cpSync(from, to, { recursive: true })
+}
+
+/**
+ * 目录后端：<dir>/<package>/<hash>/ 与 <dir>/<package>/<hash>.json
+ * @param {string} dir - 缓存目录
+ * @returns {Object} { dir, has, restore, save, latest, prune }
+ */
+export function createDirectoryBackend(dir) {
+  const entryDir = (name, hash) => path.join(dir, name, hash)
+  const recordFile = (name, hash) => path.join(dir, name, `${hash}.json`)
+
+  const readRecord = (name, hash) => {
+    const file = recordFile(name, hash)
+    if (!fs.existsSync(file)) return null
+    const record = JSON.parse(fs.readFileSync(file, 'utf-8'))
+    return record.version === CACHE_VERSION ? record : null
+  }
+
+  // 记录中的每个文件都存在才算完整
+  const isComplete = (name, hash, record) =>
+    fs.existsSync(entryDir(name, hash)) &&
+    record.files.every(file => fs.existsSync(path.join(entryDir(name, hash), file)))
+
+  const records = (name) => {
+    const packageDir = path.join(dir, name)
+    if (!fs.existsSync(packageDir)) return []
+    return fs.readdirSync(packageDir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => readRecord(name, file.slice(0, -'.json'.length)))
+      .filter(Boolean)
+  }
+
+  return {
+    dir,
+
+    /**
+     * 是否有完整的缓存条目
+     */
+    has(name, hash) {
+      const record = readRecord(name, hash)
+      return Boolean(record) && isComplete(name, hash, record)
+    },
+
+    /**
+     * 把缓存条目复制到 dest（先删除 dest）
+     * @returns {boolean} 是否恢复
+     */
+    restore(name, hash, dest) {
+      if (!this.has(name, hash)) return false
+      copyDir(entryDir(name, hash), dest)
+      return true
+    },
+
+    /**
+     * 把 src 存为缓存条目：先复制产物，最后写入记录
+     */
+    save(name, hash, src, { now = new Date() } = {}) {
+      const files = listFiles(src)
+      const target = entryDir(name, hash)
+      const temp = `${target}.tmp-${process.pid}`
+      fs.mkdirSync(path.dirname(target), { recursive: true })
+      copyDir(src, temp)
+      fs.rmSync(target, { recursive: true, force: true })
+      fs.renameSync(temp, target)
+      fs.writeFileSync(recordFile(name, hash), JSON.stringify({
+        version: CACHE_VERSION,
+        package: name,
+        hash,
+        saved_at: now.toISOString(),
+        files
+      }, null, 2) + '\n')
+    },
+
+    /**
+     * 最近保存的完整条目
+     * @returns {Object|null} { hash, saved_at, files }
+     */
+    latest(name) {
+      return records(name)
+        .filter(record => isComplete(name, record.hash, record))
+        .sort((a, b) => b.saved_at.localeCompare(a.saved_at))[0] || null
+    },
+
+    /**
+     * 删除 package 中除 keep 以外的条目（包括不完整的条目和未知的 package）；
+     * 当前哈希尚未缓存的 package 保留全部条目，以免失去增量构建的起点
+     * @param {Object} keep - { [package]: hash }
+     * @returns {Array<string>} 删除的条目
+     */
+    prune(keep) {
+      if (!fs.existsSync(dir)) return []
+      const removed = []
+      for (const name of fs.readdirSync(dir)) {
+        const packageDir = path.join(dir, name)
+        if (!fs.statSync(packageDir).isDirectory()) continue
+        if (keep[name] && !this.has(name, keep[name])) continue
+        for (const entry of fs.readdirSync(packageDir)) {
+          if (entry === keep[name] || entry === `${keep[name]}.json`) continue
+          fs.rmSync(path.join(packageDir, entry), { recursive: true, force: true })
+          removed.push(`${name}/${entry}`)
+        }
+        if (fs.readdirSync(packageDir).length === 0) fs.rmdirSync(packageDir)
+      }
+      return removed
+    }
+  }
+}
+
+/**
+ * 每个 package 是否命中缓存
+ * @param {Object} backend - 缓存后端
+ * @param {Object} hashes - hashPackages 的结果
+ * @returns {Object} { [package]: 'hit' | 'miss' }
+ */
+export function cacheStatus(backend, hashes) {
+  return Object.fromEntries(
+    Object.entries(hashes).map(([name, hash]) => [name, backend.has(name, hash) ? 'hit' : 'miss'])
+  )
+}
+
+/**
+ * 恢复构建产物：命中的复制到 dist/<package>，未命中的删除 dist/<package>，
+ * 自带增量构建清单的 package 以上一次的产物为起点
+ * @param {Object} options - { backend, hashes, distDir }
+ * @returns {Object} { [package]: 'hit' | 'seeded' | 'miss' }
+ */
+export function restoreOutputs({ backend, hashes, distDir }) {
+  const result = {}
+  for (const [name, hash] of Object.entries(hashes)) {
+    const dest = path.join(distDir, name)
+    if (backend.restore(name, hash, dest)) {
+      result[name] = 'hit'
+      continue
+    }
+
+    fs.rmSync(dest, { recursive: true, force: true })
+    const latest = backend.latest(name)
+    if (latest?.files.includes(INCREMENTAL_MANIFEST)) {
+      backend.restore(name, latest.hash, dest)
+      result[name] = 'seeded'
+    } else {
+      result[name] = 'miss'
+    }
+  }
+  return result
+}
+
+/**
+ * 保存构建产物：dist/<package> 中有完整产物（含 index.html）且尚未缓存的 package
+ * @param {Object} options - { backend, hashes, distDir }
+ * @returns {Array<string>} 保存的 package
+ */
+export function saveOutputs({ backend, hashes, distDir }) {
+  const saved = []
+  for (const [name, hash] of Object.entries(hashes)) {
+    const src = path.join(distDir, name)
+    if (backend.has(name, hash) || !fs.existsSync(path.join(src, 'index.html'))) continue
+    backend.save(name, hash, src)
+    saved.push(name)
+  }
+  return saved
+}
+
+/**
+ * 缓存目录：--cache、环境变量 BUILD_CACHE_DIR 或仓库根目录下的 .build-cache/
+ */
+export function defaultCacheDir(env = process.env) {
+  return path.resolve(env.BUILD_CACHE_DIR || path.join(ROOT_DIR, '.build-cache'))
+}
+
+// 命令行入口
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2)
+  const option = (name) => {
+    const index = args.indexOf(name)
+    return index >= 0 ? args[index + 1] : null
+  }
+  const command = args[0]
+  const distDir = path.resolve(option('--dist') || path.join(ROOT_DIR, 'dist'))
+  const backend = createDirectoryBackend(option('--cache') ? path.resolve(option('--cache')) : defaultCacheDir())
+  const hashes = hashPackages()
+
+  if (command === 'hash') {
+    console.log(JSON.stringify(hashes, null, 2))
+  } else if (command === 'status') {
+    console.log(JSON.stringify(cacheStatus(backend, hashes), null, 2))
+  } else if (command === 'restore') {
+    const result = restoreOutputs({ backend, hashes, distDir })
+    for (const [name, status] of Object.entries(result)) {
+      const message = { hit: '命中，已恢复', seeded: '未命中，以上一次的产物为增量构建的起点', miss: '未命中' }[status]
+      console.log(`cache: ${name} ${hashes[name]} ${message}`)
+    }
+  } else if (command === 'save') {
+    const saved = saveOutputs({ backend, hashes, distDir })
+    const removed = backend.prune(hashes)
+    console.log(`cache: 保存 ${saved.join(', ') || '(无)'}，清理 ${removed.length} 个过期条目，缓存位于 ${path.relative(process.cwd(), backend.dir) || '.'}`)
+  } else {
+    console.error('用法：node scripts/build-cache.mjs <hash|status|restore|save> [--cache <dir>] [--dist <dir>]')
+    process.exit(1)
+  }
+}
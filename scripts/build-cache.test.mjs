@@ -0,0 +1,184 @@
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { spawnSync } from 'child_process'
+import {
+  CACHE_VERSION,
+  INCREMENTAL_MANIFEST,
+  hashPackages,
+  createDirectoryBackend,
+  cacheStatus,
+  restoreOutputs,
+  saveOutputs
+} from './build-cache.mjs'
+
+// 每个测试使用一个临时目录：repo/ 为仓库，cache/ 为缓存，dist/ 为构建输出
+let tempDir
+let cacheDir
+let distDir
+
+function writeFile(file, content) {
+  fs.mkdirSync(path.dirname(path.join(tempDir, file)), { recursive: true })
+  fs.writeFileSync(path.join(tempDir, file), content)
+}
+
+function readFile(file) {
+  return fs.readFileSync(path.join(tempDir, file), 'utf-8')
+}
+
+// dist/<name> 中的一份构建产物
+function build(name, content = name) {
+  writeFile(`dist/${name}/index.html`, `<h1>${content}</h1>`)
+  writeFile(`dist/${name}/assets/app.js`, `console.log('${content}')`)
+}
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'build-cache-'))
+  cacheDir = path.join(tempDir, 'cache')
+  distDir = path.join(tempDir, 'dist')
+})
+
+afterEach(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true })
+})
+
+test('保存后按哈希恢复，恢复前清空目标目录', () => {
+  const backend = createDirectoryBackend(cacheDir)
+  build('alpha')
+  assert.equal(backend.has('alpha', 'h1'), false)
+
+  backend.save('alpha', 'h1', path.join(distDir, 'alpha'), { now: new Date('2026-03-01T00:00:00.000Z') })
+  assert.equal(backend.has('alpha', 'h1'), true)
+  assert.deepEqual(JSON.parse(readFile('cache/alpha/h1.json')), {
+    version: CACHE_VERSION,
+    package: 'alpha',
+    hash: 'h1',
+    saved_at: '2026-03-01T00:00:00.000Z',
+    files: ['assets/app.js', 'index.html']
+  })
+
+  writeFile('restored/stale.html', 'stale')
+  assert.equal(backend.restore('alpha', 'h1', path.join(tempDir, 'restored')), true)
+  assert.equal(readFile('restored/index.html'), '<h1>alpha</h1>')
+  assert.equal(fs.existsSync(path.join(tempDir, 'restored/stale.html')), false)
+
+  assert.equal(backend.restore('alpha', 'other', path.join(tempDir, 'restored')), false)
+})
+
+test('缺少记录、文件不全或版本不同的条目不会命中', () => {
+  const backend = createDirectoryBackend(cacheDir)
+  build('alpha')
+  backend.save('alpha', 'h1', path.join(distDir, 'alpha'))
+
+  fs.rmSync(path.join(cacheDir, 'alpha/h1/assets/app.js'))
+  assert.equal(backend.has('alpha', 'h1'), false)
+
+  backend.save('alpha', 'h2', path.join(distDir, 'alpha'))
+  const record = JSON.parse(readFile('cache/alpha/h2.json'))
+  writeFile('cache/alpha/h2.json', JSON.stringify({ ...record, version: CACHE_VERSION + 1 }))
+  assert.equal(backend.has('alpha', 'h2'), false)
+
+  // 只复制了产物、尚未写入记录
+  fs.cpSync(path.join(distDir, 'alpha'), path.join(cacheDir, 'alpha/h3'), { recursive: true })
+  assert.equal(backend.has('alpha', 'h3'), false)
+  assert.equal(backend.latest('alpha'), null)
+})
+
+test('latest 返回最近保存的完整条目', () => {
+  const backend = createDirectoryBackend(cacheDir)
+  build('alpha', 'old')
+  backend.save('alpha', 'old', path.join(distDir, 'alpha'), { now: new Date('2026-03-01T00:00:00.000Z') })
+  build('alpha', 'new')
+  backend.save('alpha', 'new', path.join(distDir, 'alpha'), { now: new Date('2026-03-02T00:00:00.000Z') })
+
+  assert.equal(backend.latest('alpha').hash, 'new')
+  assert.equal(backend.latest('missing'), null)
+})
+
+test('清理时只保留当前哈希，当前哈希尚未缓存的 package 保留全部条目', () => {
+  const backend = createDirectoryBackend(cacheDir)
+  for (const [name, hash] of [['alpha', 'a1'], ['alpha', 'a2'], ['beta', 'b1'], ['gone', 'g1']]) {
+    build(name, hash)
+    backend.save(name, hash, path.join(distDir, name))
+  }
+
+  const removed = backend.prune({ alpha: 'a2', beta: 'b2' })
+  assert.deepEqual(removed.sort(), ['alpha/a1', 'alpha/a1.json', 'gone/g1', 'gone/g1.json'])
+  assert.equal(backend.has('alpha', 'a2'), true)
+  assert.equal(backend.has('beta', 'b1'), true)
+  assert.equal(fs.existsSync(path.join(cacheDir, 'gone')), false)
+
+  assert.deepEqual(createDirectoryBackend(path.join(tempDir, 'missing')).prune({}), [])
+})
+
+test('恢复命中的产物，未命中的删除，带增量清单的 package 以上一次的产物为起点', () => {
+  const backend = createDirectoryBackend(cacheDir)
+  build('alpha')
+  build('books')
+  writeFile(`dist/books/${INCREMENTAL_MANIFEST}`, '{}')
+  saveOutputs({ backend, hashes: { alpha: 'a1', books: 'b1' }, distDir })
+
+  build('beta')
+  const hashes = { alpha: 'a1', beta: 'x', books: 'b2' }
+  assert.deepEqual(cacheStatus(backend, hashes), { alpha: 'hit', beta: 'miss', books: 'miss' })
+
+  fs.rmSync(distDir, { recursive: true })
+  build('beta')
+  assert.deepEqual(restoreOutputs({ backend, hashes, distDir }), { alpha: 'hit', beta: 'miss', books: 'seeded' })
+  assert.equal(readFile('dist/alpha/index.html'), '<h1>alpha</h1>')
+  assert.equal(fs.existsSync(path.join(distDir, 'beta')), false)
+  assert.equal(fs.existsSync(path.join(distDir, 'books', INCREMENTAL_MANIFEST)), true)
+})
+
+test('只保存有完整产物且尚未缓存的 package', () => {
+  const backend = createDirectoryBackend(cacheDir)
+  build('alpha')
+  writeFile('dist/broken/assets/app.js', '')
+
+  assert.deepEqual(saveOutputs({ backend, hashes: { alpha: 'a1', broken: 'b1', missing: 'm1' }, distDir }), ['alpha'])
+  assert.deepEqual(saveOutputs({ backend, hashes: { alpha: 'a1' }, distDir }), [])
+})
+
+test('哈希随 package 文件与部署位置变化，portal 的哈希包含书籍的哈希', () => {
+  const rootDir = path.join(tempDir, 'repo')
+  const git = (...args) => {
+    const result = spawnSync('git', args, { cwd: rootDir, encoding: 'utf-8' })
+    assert.equal(result.status, 0, result.stderr)
+  }
+  writeFile('repo/.gitignore', 'node_modules\n')
+  writeFile('repo/packages/portal/docs/index.md', '# portal\n')
+  writeFile('repo/packages/alpha/docs/index.md', '# alpha\n')
+  writeFile('repo/packages/beta/docs/index.md', '# beta\n')
+  writeFile('repo/packages/alpha/docs/.vitepress/cache/deps/x.js', 'cache')
+  writeFile('repo/packages/alpha/node_modules/x/index.js', 'ignored')
+  fs.mkdirSync(rootDir, { recursive: true })
+  git('init', '--quiet')
+
+  const packages = ['portal', 'alpha', 'beta'].map(name => ({
+    name,
+    dir: path.join(rootDir, 'packages', name),
+    base: `/site/${name === 'portal' ? '' : `${name}/`}`
+  }))
+  const site = { base: '/site/', domain: null }
+  const hash = (options = {}) => hashPackages({ rootDir, packages, site, ...options })
+
+  const before = hash()
+  assert.deepEqual(Object.keys(before).sort(), ['alpha', 'beta', 'portal'])
+  assert.deepEqual(hash(), before)
+
+  // 被 git 忽略的文件与 .vitepress/cache 不影响哈希
+  writeFile('repo/packages/alpha/node_modules/x/index.js', 'changed')
+  writeFile('repo/packages/alpha/docs/.vitepress/cache/deps/x.js', 'changed')
+  assert.deepEqual(hash(), before)
+
+  writeFile('repo/packages/alpha/docs/index.md', '# alpha 2\n')
+  const changed = hash()
+  assert.notEqual(changed.alpha, before.alpha)
+  assert.equal(changed.beta, before.beta)
+  assert.notEqual(changed.portal, before.portal)
+
+  const moved = hash({ site: { base: '/other/', domain: null } })
+  assert.ok(['alpha', 'beta', 'portal'].every(name => moved[name] !== changed[name]))
+})
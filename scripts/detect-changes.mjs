@@ -0,0 +1,230 @@
+import fs from 'fs'
+import path from 'path'
+import { spawnSync } from 'child_process'
+import { pathToFileURL } from 'url'
+import { ROOT_DIR } from '../shared/books.mjs'
+import { ROOT_PACKAGE, SHARED_INPUTS, sitePackages } from './site.mjs'
+import { readAssembleManifest } from './assemble-dist.mjs'
+import { createDirectoryBackend, defaultCacheDir, hashPackages, cacheStatus } from './build-cache.mjs'
+
+/**
+ * 检测自上次成功部署以来哪些 package 需要重新构建，输出 JSON 构建计划
+ *
+ *   node scripts/detect-changes.mjs [--since <ref>] [--dist <dir>] [--all]    输出构建计划
+ *   node scripts/detect-changes.mjs --cache <dir> [--since <ref>]             同时核对构建缓存（见 build-cache.mjs）
+ *   node scripts/detect-changes.mjs --build [--plan <file>]                   按计划构建（--plan 读取之前输出的计划）
+ *
+ * 对比的起点依次取：--since、环境变量 LAST_DEPLOYED_SHA、gh 查询到的 deploy.yml 最近一次成功运行的 commit；
+ * 都没有或该 commit 不在本地历史中时全部构建。对比包含工作区中未提交的修改，本地与 CI 使用同一份计划。
+ *
+ * package 从 pnpm-workspace.yaml 中发现，只有属于站点的 package（见 site.mjs）参与构建：
+ *   书籍 package   目录下有文件变化，或 dist/ 中没有它的构建产物时重新构建
+ *   portal         汇总所有书籍且组装站点时需要它的构建产物，总是构建
+ * 共享输入（site.mjs 中的 SHARED_INPUTS）变化时全部构建。
+ *
+ * 使用构建缓存时（--cache 或环境变量 BUILD_CACHE_DIR），dist/ 中的产物来自 build-cache.mjs restore：
+ * 自上次部署以来没有变化的书籍只有命中缓存时才跳过，未命中（包括以旧产物为起点的 cs130-vue）时构建；
+ * 有变化的书籍与共享输入变化时仍按对比结果构建。CI 使用这种方式，需要完整的 git 历史与 GH_TOKEN（查询上次部署）。
+ */
+
+// 查询最近一次成功部署时使用的 workflow
+export const DEPLOY_WORKFLOW = 'deploy.yml'
+
+/**
+ * 在仓库中运行 git，失败时返回 null
+ */
+function git(rootDir, args) {
+  const result = spawnSync('git', args, { cwd: rootDir, encoding: 'utf-8' })
+  return result.status === 0 ? result.stdout.trim() : null
+}
+
+/**
+ * 解析为本地存在的 commit
+ * @returns {string|null} 完整的 sha
+ */
+function resolveCommit(rootDir, ref) {
+  return ref ? git(rootDir, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]) : null
+}
+
+/**
+ * 通过 gh 查询 deploy.yml 最近一次成功运行的 commit（需要 gh 已登录或设置了 GH_TOKEN）
+ * @returns {string|null}
+ */
+function lastDeployedByGh(rootDir) {
+  const result = spawnSync('gh', [
+    'run', 'list',
+    '--workflow', DEPLOY_WORKFLOW,
+    '--status', 'success',
+    '--limit', '1',
+    '--json', 'headSha',
+    '--jq', '.[0].headSha'
+  ], { cwd: rootDir, encoding: 'utf-8', timeout: 30000 })
+  return result.status === 0 && result.stdout.trim() ? result.stdout.trim() : null
+}
+
+/**
+ * 确定对比的起点
+ * @param {Object} options - { rootDir, since, env, distDir, lookup: 查询上次部署的函数 }
+ * @returns {Object} { sha, source, reason }，sha 为 null 时 reason 说明原因
+ */
+export function resolveBase({
+  rootDir = ROOT_DIR,
+  since = null,
+  env = process.env,
+  distDir = null,
+  lookup = lastDeployedByGh
+} = {}) {
+  let ref = null
+  let source = null
+  if (since) {
+    ref = since
+    source = '--since'
+  } else if (env.LAST_DEPLOYED_SHA) {
+    ref = env.LAST_DEPLOYED_SHA
+    source = 'LAST_DEPLOYED_SHA'
+  } else {
+    ref = lookup(rootDir)
+    source = ref ? 'gh' : null
+  }
+
+  if (!ref) return { sha: null, source: null, reason: '找不到上次成功部署的 commit' }
+  const sha = resolveCommit(rootDir, ref)
+  if (!sha) return { sha: null, source, reason: `${ref} 不在本地历史中` }
+
+  // 缓存恢复的 dist/ 比上次部署更旧时（如较新的缓存已被淘汰），从构建它的 commit 开始对比
+  const built = distDir ? resolveCommit(rootDir, readAssembleManifest(distDir)?.commit) : null
+  if (built && built !== sha && spawnSync('git', ['merge-base', '--is-ancestor', built, sha], { cwd: rootDir }).status === 0) {
+    return { sha: built, source: 'dist/assemble-manifest.json', reason: null }
+  }
+
+  return { sha, source, reason: null }
+}
+
+/**
+ * 自 base 以来变化的文件：已提交的修改、工作区中未提交的修改以及未跟踪的文件
+ * @param {string} base - 起点 commit
+ * @param {string} rootDir - 仓库根目录
+ * @returns {Array<string>} 相对仓库根目录的路径（重命名的文件新旧路径都包含）
+ */
+export function changedFiles(base, rootDir = ROOT_DIR) {
+  const diff = git(rootDir, ['diff', '--name-only', '--no-renames', '-z', base])
+  const untracked = git(rootDir, ['ls-files', '--others', '--exclude-standard', '-z'])
+  if (diff === null || untracked === null) {
+    throw new Error(`无法对比 ${base} 与工作区`)
+  }
+  return [...new Set([...diff.split('\0'), ...untracked.split('\0')].filter(Boolean))].sort()
+}
+
+/**
+ * 文件是否属于共享输入
+ */
+export function isSharedInput(file) {
+  return SHARED_INPUTS.some(input => input.endsWith('/') ? file.startsWith(input) : file === input)
+}
+
+/**
+ * 计算构建计划
+ * @param {Object} options
+ *   base: resolveBase 的结果；files: 变化的文件（base.sha 为 null 时忽略）；
+ *   packages: sitePackages 的结果；rootDir；distDir: 检查已有构建产物的目录；all: 全部构建；
+ *   cache: cacheStatus 的结果，不使用构建缓存时为 null；使用时以是否命中代替检查 distDir 中的产物
+ * @returns {Object} { base, source, full, reason, shared, packages: [{ name, package, dir, build, reason, changes, cached }] }
+ */
+export function planBuild({
+  base,
+  files = [],
+  packages,
+  rootDir = ROOT_DIR,
+  distDir = path.join(rootDir, 'dist'),
+  all = false,
+  cache = null
+}) {
+  const shared = base.sha ? files.filter(isSharedInput) : []
+  let fullReason = null
+  if (all) fullReason = '--all'
+  else if (!base.sha) fullReason = base.reason
+  else if (shared.length) fullReason = `共享输入变化：${shared.join(', ')}`
+
+  const buildable = packages.filter(pkg => pkg.scripts['docs:build'])
+  const plan = buildable.map(pkg => {
+    const dir = path.relative(rootDir, pkg.dir).split(path.sep).join('/') + '/'
+    const changes = base.sha ? files.filter(file => file.startsWith(dir)).length : 0
+
+    const cached = cache?.[pkg.name] === 'hit'
+
+    let reason = null
+    if (pkg.name === ROOT_PACKAGE.name) reason = fullReason || '门户总是构建'
+    else if (fullReason) reason = fullReason
+    else if (cache && !cached) reason = '构建缓存未命中'
+    else if (!cache && !fs.existsSync(path.join(distDir, pkg.name, 'index.html'))) reason = '没有构建产物'
+    else if (changes) reason = `${changes} 个文件变化`
+
+    return { name: pkg.name, package: pkg.package, dir, build: Boolean(reason), reason, changes, cached }
+  })
+
+  // 门户最后构建
+  plan.sort((a, b) => (a.name === ROOT_PACKAGE.name) - (b.name === ROOT_PACKAGE.name))
+
+  return {
+    base: base.sha,
+    source: base.source,
+    full: Boolean(fullReason),
+    reason: fullReason,
+    shared,
+    packages: plan
+  }
+}
+
+/**
+ * 按计划依次构建，失败时立即停止
+ * @param {Object} plan - planBuild 的结果
+ * @returns {number} 退出码
+ */
+export function runPlan(plan, { rootDir = ROOT_DIR } = {}) {
+  for (const pkg of plan.packages) {
+    if (!pkg.build) {
+      console.error(`changes: 跳过 ${pkg.package}${pkg.cached ? '（构建缓存命中）' : ''}`)
+      continue
+    }
+    console.error(`changes: 构建 ${pkg.package}（${pkg.reason}）`)
+    const result = spawnSync('pnpm', ['--filter', pkg.package, 'run', 'docs:build'], {
+      cwd: rootDir,
+      stdio: 'inherit',
+      shell: process.platform === 'win32'
+    })
+    if (result.status !== 0) {
+      console.error(`changes: ${pkg.package} 构建失败`)
+      return result.status || 1
+    }
+  }
+  return 0
+}
+
+// 命令行入口
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2)
+  const option = (name) => {
+    const index = args.indexOf(name)
+    return index >= 0 ? args[index + 1] : null
+  }
+  const distDir = path.resolve(option('--dist') || path.join(ROOT_DIR, 'dist'))
+
+  let plan
+  if (option('--plan')) {
+    plan = JSON.parse(fs.readFileSync(option('--plan'), 'utf-8'))
+  } else {
+    const cacheDir = option('--cache')
+      ? path.resolve(option('--cache'))
+      : process.env.BUILD_CACHE_DIR ? defaultCacheDir() : null
+    const base = resolveBase({ since: option('--since'), distDir })
+    const files = base.sha ? changedFiles(base.sha) : []
+    const cache = cacheDir ? cacheStatus(createDirectoryBackend(cacheDir), hashPackages()) : null
+    plan = planBuild({ base, files, packages: sitePackages(), distDir, all: args.includes('--all'), cache })
+  }
+
+  if (args.includes('--build')) {
+    process.exitCode = runPlan(plan)
+  } else {
+    console.log(JSON.stringify(plan, null, 2))
+  }
+}
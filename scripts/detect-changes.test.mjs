@@ -0,0 +1,104 @@
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { isSharedInput, planBuild, resolveBase } from './detect-changes.mjs'
+
+// 每个测试使用一个临时仓库目录，dist/ 为构建输出
+let rootDir
+let packages
+
+function writeFile(file, content = file) {
+  fs.mkdirSync(path.dirname(path.join(rootDir, file)), { recursive: true })
+  fs.writeFileSync(path.join(rootDir, file), content)
+}
+
+const base = { sha: 'abc123', source: '--since', reason: null }
+const plan = (options = {}) => planBuild({ packages, rootDir, ...options })
+// 每个 package 是否构建及原因
+const builds = (result) => Object.fromEntries(result.packages.map(pkg => [pkg.name, pkg.reason]))
+
+beforeEach(() => {
+  rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'detect-changes-'))
+  packages = ['portal', 'alpha', 'beta'].map(name => ({
+    name,
+    package: `@codebooks/${name}`,
+    dir: path.join(rootDir, 'packages', name),
+    scripts: { 'docs:build': 'vitepress build docs' }
+  }))
+  writeFile('dist/alpha/index.html')
+  writeFile('dist/beta/index.html')
+})
+
+afterEach(() => {
+  fs.rmSync(rootDir, { recursive: true, force: true })
+})
+
+test('共享输入按文件或目录前缀匹配', () => {
+  assert.equal(isSharedInput('pnpm-lock.yaml'), true)
+  assert.equal(isSharedInput('shared/tocParser.mjs'), true)
+  assert.equal(isSharedInput('scripts/site.mjs'), true)
+  assert.equal(isSharedInput('scripts/new-book.mjs'), false)
+  assert.equal(isSharedInput('packages/alpha/package.json'), false)
+})
+
+test('只构建有文件变化或没有构建产物的书籍，门户总是构建且排在最后', () => {
+  fs.rmSync(path.join(rootDir, 'dist/beta'), { recursive: true })
+  const result = plan({ base, files: ['packages/alpha/docs/a.md', 'packages/alpha/docs/b.md', 'README.md'] })
+
+  assert.deepEqual([result.base, result.source, result.full, result.shared], ['abc123', '--since', false, []])
+  assert.deepEqual(result.packages.map(pkg => pkg.name), ['alpha', 'beta', 'portal'])
+  assert.deepEqual(builds(result), { alpha: '2 个文件变化', beta: '没有构建产物', portal: '门户总是构建' })
+  assert.deepEqual(result.packages.map(pkg => [pkg.dir, pkg.changes]), [['packages/alpha/', 2], ['packages/beta/', 0], ['packages/portal/', 0]])
+
+  writeFile('dist/beta/index.html')
+  const unchanged = plan({ base, files: ['README.md'] })
+  assert.deepEqual(unchanged.packages.map(pkg => pkg.build), [false, false, true])
+})
+
+test('没有对比起点、共享输入变化或 --all 时全部构建', () => {
+  const noBase = plan({ base: { sha: null, source: null, reason: '找不到上次成功部署的 commit' }, files: ['packages/alpha/docs/a.md'] })
+  assert.equal(noBase.full, true)
+  assert.deepEqual(Object.values(builds(noBase)), Array(3).fill('找不到上次成功部署的 commit'))
+  assert.equal(noBase.packages[0].changes, 0)
+
+  const shared = plan({ base, files: ['shared/books.json', 'packages/alpha/docs/a.md'] })
+  assert.deepEqual(shared.shared, ['shared/books.json'])
+  assert.deepEqual(Object.values(builds(shared)), Array(3).fill('共享输入变化：shared/books.json'))
+
+  assert.deepEqual(Object.values(builds(plan({ base, all: true }))), Array(3).fill('--all'))
+})
+
+test('使用构建缓存时，没有变化的书籍只有命中缓存才跳过', () => {
+  // beta 未命中缓存：restore 已删除或只以旧产物为起点，dist/ 中的产物不可信
+  const cache = { portal: 'hit', alpha: 'hit', beta: 'miss' }
+  const result = plan({ base, files: ['packages/alpha/docs/a.md'], cache })
+
+  assert.deepEqual([result.base, result.full, result.reason], ['abc123', false, null])
+  assert.deepEqual(builds(result), { alpha: '1 个文件变化', beta: '构建缓存未命中', portal: '门户总是构建' })
+  assert.deepEqual(result.packages.map(pkg => pkg.cached), [true, false, true])
+
+  const unchanged = plan({ base, files: [], cache })
+  assert.deepEqual(builds(unchanged), { alpha: null, beta: '构建缓存未命中', portal: '门户总是构建' })
+
+  // 共享输入变化或找不到上次部署时仍然全部构建
+  const shared = plan({ base, files: ['pnpm-lock.yaml'], cache })
+  assert.deepEqual(Object.values(builds(shared)), Array(3).fill('共享输入变化：pnpm-lock.yaml'))
+  const noBase = plan({ base: { sha: null, source: null, reason: '找不到上次成功部署的 commit' }, cache })
+  assert.equal(noBase.packages.every(pkg => pkg.build), true)
+})
+
+test('没有 docs:build 脚本的 package 不参与构建', () => {
+  packages[1].scripts = {}
+  assert.deepEqual(plan({ base }).packages.map(pkg => pkg.name), ['beta', 'portal'])
+})
+
+test('对比起点依次取 --since、LAST_DEPLOYED_SHA 与查询结果', () => {
+  const lookup = () => null
+  assert.deepEqual(resolveBase({ rootDir, env: {}, lookup }), { sha: null, source: null, reason: '找不到上次成功部署的 commit' })
+  // 临时目录不是 git 仓库，任何 ref 都不在本地历史中
+  assert.deepEqual(resolveBase({ rootDir, since: 'v1', env: { LAST_DEPLOYED_SHA: 'x' }, lookup }), { sha: null, source: '--since', reason: 'v1 不在本地历史中' })
+  assert.deepEqual(resolveBase({ rootDir, env: { LAST_DEPLOYED_SHA: 'x' }, lookup }).source, 'LAST_DEPLOYED_SHA')
+  assert.deepEqual(resolveBase({ rootDir, env: {}, lookup: () => 'y' }).source, 'gh')
+})
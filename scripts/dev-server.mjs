@@ -0,0 +1,167 @@
+import http from 'http'
+import net from 'net'
+import { spawn } from 'child_process'
+import { pathToFileURL } from 'url'
+import { SITE_BASE, sitePackages } from './site.mjs'
+
+/**
+ * 统一的开发服务器：为每个 package 启动 vitepress dev，并通过一个本地代理按生产环境的 base 路径访问
+ *
+ *   http://localhost:5173/CoderBooks/            -> portal
+ *   http://localhost:5173/CoderBooks/cs130-vue/  -> cs130-vue
+ *   http://localhost:5173/CoderBooks/book2/      -> book2
+ *
+ * 各 package 的 dev server 本身就以生产环境的 base 提供页面，代理按最长的 base 前缀转发请求，
+ * 路径保持不变；HMR 的 websocket 连接同样按 base 转发，热更新在每个 package 中照常工作。
+ *
+ *   node scripts/dev-server.mjs [--port 5173] [package...]    只启动指定的 package（默认全部）
+ */
+
+/**
+ * 按最长的 base 前缀选择处理请求的 package
+ * @param {Array} servers - [{ base, port, ... }]
+ * @param {string} url - 请求路径
+ * @returns {Object|null}
+ */
+export function matchServer(servers, url) {
+  const pathname = url.split('?')[0]
+  return servers
+    .filter(server => pathname.startsWith(server.base) || pathname === server.base.slice(0, -1))
+    .sort((a, b) => b.base.length - a.base.length)[0] || null
+}
+
+/**
+ * 启动单个 package 的 vitepress dev，输出加上 package 名称前缀
+ * @param {Object} pkg - sitePackages 返回的 package
+ * @param {number} port - dev server 端口
+ * @returns {ChildProcess}
+ */
+function startPackage(pkg, port) {
+  const child = spawn('pnpm', ['run', 'docs:dev', '--port', String(port), '--strictPort'], {
+    cwd: pkg.dir,
+    stdio: ['ignore', 'pipe', 'pipe'],
+    shell: process.platform === 'win32',
+    // 独立的进程组，停止时连同 pnpm 启动的 vitepress 一起结束
+    detached: process.platform !== 'win32'
+  })
+
+  const prefix = `[${pkg.name}] `
+  for (const stream of [child.stdout, child.stderr]) {
+    let pending = ''
+    stream.on('data', (chunk) => {
+      const lines = (pending + chunk).split('\n')
+      pending = lines.pop()
+      for (const line of lines) process.stdout.write(prefix + line + '\n')
+    })
+  }
+
+  return child
+}
+
+/**
+ * 创建代理服务器
+ * @param {Array} servers - [{ name, base, port }]，未启动的 package 没有 port，访问时提示启动方式
+ * @returns {http.Server}
+ */
+export function createDevProxy(servers) {
+  const reply = (res, status, message) => {
+    res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' })
+    res.end(message)
+  }
+  const unavailable = (res, message) => reply(res, 502, message)
+
+  const proxy = http.createServer((req, res) => {
+    if (req.url === '/' || req.url === SITE_BASE.slice(0, -1)) {
+      res.writeHead(302, { Location: SITE_BASE })
+      return res.end()
+    }
+
+    const server = matchServer(servers, req.url)
+    if (!server) return reply(res, 404, `没有 package 处理 ${req.url}，站点位于 ${SITE_BASE}`)
+    if (!server.port) return unavailable(res, `${server.name} 没有启动，运行 pnpm docs:dev ${server.name} 或不指定 package 启动全部`)
+
+    const upstream = http.request({
+      host: 'localhost',
+      port: server.port,
+      method: req.method,
+      path: req.url,
+      headers: req.headers
+    }, (response) => {
+      res.writeHead(response.statusCode, response.headers)
+      response.pipe(res)
+    })
+    upstream.on('error', () => unavailable(res, `${server.name} 的 dev server（端口 ${server.port}）尚未就绪，稍后刷新`))
+    req.pipe(upstream)
+  })
+
+  // HMR 等 websocket 连接：原样转发请求头后双向传输
+  proxy.on('upgrade', (req, socket, head) => {
+    const server = matchServer(servers, req.url)
+    if (!server?.port) return socket.destroy()
+
+    const upstream = net.connect(server.port, 'localhost', () => {
+      const headers = Object.entries(req.headers).map(([key, value]) => `${key}: ${value}`)
+      upstream.write([`${req.method} ${req.url} HTTP/${req.httpVersion}`, ...headers, '', ''].join('\r\n'))
+      if (head.length) upstream.write(head)
+      upstream.pipe(socket)
+      socket.pipe(upstream)
+    })
+    upstream.on('error', () => socket.destroy())
+    socket.on('error', () => upstream.destroy())
+  })
+
+  return proxy
+}
+
+// 命令行入口
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2)
+  const portIndex = args.indexOf('--port')
+  const port = Number(portIndex >= 0 ? args[portIndex + 1] : process.env.PORT || 5173)
+  const names = args.filter((arg, index) => !arg.startsWith('--') && index !== portIndex + 1)
+
+  const packages = sitePackages().filter(pkg => pkg.scripts['docs:dev'] && (!names.length || names.includes(pkg.name)))
+  const unknown = names.filter(name => !packages.some(pkg => pkg.name === name))
+  if (unknown.length || !packages.length) {
+    console.error(`dev: 未知的 package：${unknown.join(', ') || '(无)'}，可选：${sitePackages().map(pkg => pkg.name).join(', ')}`)
+    process.exit(1)
+  }
+
+  const servers = packages.map((pkg, index) => ({ ...pkg, port: port + 1 + index }))
+  const children = servers.map(server => startPackage(server, server.port))
+  // 未启动的 package 也参与路由，避免其路径落到 portal 上显示为 404 页面
+  const routes = [
+    ...servers,
+    ...sitePackages().filter(pkg => !servers.some(server => server.name === pkg.name))
+  ]
+
+  let stopping = false
+  const stop = (code = 0) => {
+    if (stopping) return
+    stopping = true
+    for (const child of children) {
+      if (child.exitCode !== null) continue
+      if (process.platform === 'win32') child.kill()
+      else process.kill(-child.pid, 'SIGTERM')
+    }
+    proxy.close()
+    process.exitCode = code
+  }
+
+  children.forEach((child, index) => {
+    child.on('exit', (code) => {
+      if (stopping) return
+      console.error(`dev: ${servers[index].name} 的 dev server 已退出（${code}），停止所有 package`)
+      stop(code || 1)
+    })
+  })
+  process.on('SIGINT', () => stop())
+  process.on('SIGTERM', () => stop())
+
+  const proxy = createDevProxy(routes)
+  proxy.listen(port, () => {
+    for (const server of servers) {
+      console.log(`dev: http://localhost:${port}${server.base} -> ${server.name}（端口 ${server.port}）`)
+    }
+  })
+}
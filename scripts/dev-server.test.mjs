@@ -0,0 +1,105 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'http'
+import { once } from 'events'
+import { SITE_BASE } from './site.mjs'
+import { matchServer, createDevProxy } from './dev-server.mjs'
+
+// 代替 vitepress dev 的上游服务器：返回自己的名称与收到的路径，websocket 连接原样回显
+function createUpstream(name) {
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify({ name, url: req.url }))
+  })
+  server.on('upgrade', (req, socket) => {
+    socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n\r\n')
+    socket.pipe(socket)
+  })
+  return server
+}
+
+async function listen(server) {
+  server.listen(0, 'localhost')
+  await once(server, 'listening')
+  return server.address().port
+}
+
+const upstreams = []
+let proxy
+let proxyUrl
+
+const request = (pathname) => fetch(proxyUrl + pathname, { redirect: 'manual' })
+
+before(async () => {
+  const servers = []
+  for (const [name, path] of [['portal', '/'], ['cs130-vue', '/cs130-vue/'], ['book2', '/book2/']]) {
+    const upstream = createUpstream(name)
+    upstreams.push(upstream)
+    servers.push({ name, base: SITE_BASE + path.slice(1), port: await listen(upstream) })
+  }
+  // 没有启动的 package 仍然参与路由
+  servers.push({ name: 'later', base: `${SITE_BASE}later/` })
+
+  proxy = createDevProxy(servers)
+  proxyUrl = `http://localhost:${await listen(proxy)}`
+})
+
+after(() => {
+  proxy.close()
+  for (const upstream of upstreams) upstream.close()
+})
+
+test('按最长的 base 前缀选择 package', () => {
+  const servers = [{ name: 'portal', base: '/site/' }, { name: 'cs130-vue', base: '/site/cs130-vue/' }]
+  assert.equal(matchServer(servers, '/site/cs130-vue/01-reactive/?t=1').name, 'cs130-vue')
+  assert.equal(matchServer(servers, '/site/cs130-vue').name, 'cs130-vue')
+  assert.equal(matchServer(servers, '/site/cs130-vue-extra/').name, 'portal')
+  assert.equal(matchServer(servers, '/other/'), null)
+})
+
+test('书籍路径转发到对应 package 的 dev server，路径保持不变', async () => {
+  const res = await request(`${SITE_BASE}cs130-vue/01-reactive/?t=1`)
+  assert.equal(res.status, 200)
+  assert.deepEqual(await res.json(), { name: 'cs130-vue', url: `${SITE_BASE}cs130-vue/01-reactive/?t=1` })
+
+  assert.equal((await (await request(`${SITE_BASE}book2/guide.html`)).json()).name, 'book2')
+  assert.equal((await (await request(`${SITE_BASE}guide/`)).json()).name, 'portal')
+})
+
+test('缺少结尾 / 的 package 路径由该 package 自己处理，不在代理中重定向', async () => {
+  const res = await request(`${SITE_BASE}cs130-vue`)
+  assert.equal(res.status, 200)
+  assert.deepEqual(await res.json(), { name: 'cs130-vue', url: `${SITE_BASE}cs130-vue` })
+})
+
+test('根路径重定向到站点 base，base 之外的路径返回 404', async () => {
+  const root = await request('/')
+  assert.equal(root.status, 302)
+  assert.equal(root.headers.get('location'), SITE_BASE)
+
+  if (SITE_BASE !== '/') {
+    const other = await request('/unknown-prefix/page.html')
+    assert.equal(other.status, 404)
+    assert.match(await other.text(), new RegExp(`站点位于 ${SITE_BASE}`))
+  }
+})
+
+test('没有启动的 package 提示启动方式', async () => {
+  const res = await request(`${SITE_BASE}later/`)
+  assert.equal(res.status, 502)
+  assert.match(await res.text(), /pnpm docs:dev later/)
+})
+
+test('HMR 的 websocket 连接按 base 转发', async () => {
+  const req = http.request(`${proxyUrl}${SITE_BASE}cs130-vue/`, {
+    headers: { Connection: 'Upgrade', Upgrade: 'websocket' }
+  })
+  req.end()
+  const [res, socket] = await once(req, 'upgrade')
+  assert.equal(res.statusCode, 101)
+
+  socket.write('ping')
+  const [data] = await once(socket, 'data')
+  assert.equal(data.toString(), 'ping')
+  socket.destroy()
+})
@@ -0,0 +1,432 @@
+import fs from 'fs'
+import path from 'path'
+import { spawnSync } from 'child_process'
+import { pathToFileURL } from 'url'
+import { ROOT_DIR, loadManifest, bookLabel } from '../shared/books.mjs'
+import { ROOT_PACKAGE, readWorkspaceGlobs } from './site.mjs'
+
+/**
+ * 新建一本书，并登记到所有需要它的地方
+ *
+ *   node scripts/new-book.mjs <name> --title <书名> [--nav-text <导航文字>] [--audience <适合人群>] [--description <简介>]
+ *     新建书籍 package packages/<name>
+ *   node scripts/new-book.mjs <package>/<book> --title <书名> [--group <分组>] [--order <n>] [--summary <简介>]
+ *     在声明了 books 的 package（如 cs130-vue）中新建一本子书 docs/<book>/
+ *   --dry-run 只输出要创建和修改的文件
+ *
+ * 书籍 package 会登记到：shared/books.json（门户导航与首页、所有书籍页面、开发代理、变化检测与构建缓存由此生成）、
+ * 根目录 package.json 的 docs:dev:<name> 与 build:books；独立仓库的配置（scripts/setup-git-repos.mjs）直接读取 workspace。
+ * 子书会登记到 shared/books.json 中 package 的 books（导航、sidebar 与进度页面由此生成），并生成进度文件。
+ * 任何检查失败都不会修改文件。
+ */
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/
+
+/**
+ * 写回 JSON 文件时使用的格式（与仓库中的 JSON 文件一致）
+ */
+function stringifyJson(value) {
+  return JSON.stringify(value, null, 2) + '\n'
+}
+
+/**
+ * JavaScript 单引号字符串字面量
+ */
+function jsString(value) {
+  return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`
+}
+
+/**
+ * YAML 标量：含有特殊字符时加引号
+ */
+function yamlString(value) {
+  return /^[\s\-?:,[\]{}#&*!|>'"%@`]|[:#]\s|\s$/.test(value) ? JSON.stringify(value) : value
+}
+
+function readText(rootDir, file) {
+  return fs.readFileSync(path.join(rootDir, file), 'utf-8')
+}
+
+// ---------- 书籍 package 的模板 ----------
+
+function packageJsonTemplate({ name, title, vitepress }) {
+  return stringifyJson({
+    name: `@codebooks/${name}`,
+    version: '1.0.0',
+    description: title,
+    private: true,
+    type: 'module',
+    scripts: {
+      'docs:dev': 'vitepress dev docs',
+      'docs:build': 'vitepress build docs',
+      'docs:preview': 'vitepress preview docs'
+    },
+    devDependencies: {
+      vitepress,
+      vue: '^3.4.0'
+    }
+  })
+}
+
+function configTemplate({ name, title, description }) {
+  return `import { defineConfig } from 'vitepress'
+import { packageBase } from '../../../../shared/books.mjs'
+
+export default defineConfig({
+  title: ${jsString(title)},
+  description: ${jsString(description)},
+  // 部署位置见 shared/books.json 中的 site（可用环境变量 SITE_BASE 覆盖）
+  base: packageBase('${name}'),
+  outDir: '../../../dist/${name}',
+
+  themeConfig: {
+    nav: [
+      { text: '首页', link: '/' }
+    ],
+
+    sidebar: [
+      {
+        text: '开始',
+        items: [
+          { text: '介绍', link: '/' }
+        ]
+      }
+    ],
+
+    socialLinks: [
+      { icon: 'github', link: 'https://github.com' }
+    ],
+
+    footer: {
+      message: '基于 VitePress 构建',
+      copyright: 'Copyright © ${new Date().getFullYear()}'
+    }
+  }
+})
+`
+}
+
+function packageIndexTemplate({ title, description }) {
+  return `---
+layout: home
+
+hero:
+  name: ${yamlString(title)}
+  tagline: ${yamlString(description)}
+---
+`
+}
+
+function packageReadmeTemplate({ name, title, description }) {
+  return `# ${name}
+
+> ${title} - ${description}
+
+## 本地开发
+
+\`\`\`bash
+pnpm docs:dev ${name}        # 在仓库根目录通过统一的开发服务器访问
+pnpm docs:dev:${name}        # 单独启动
+\`\`\`
+
+## 构建
+
+\`\`\`bash
+pnpm --filter @codebooks/${name} run docs:build   # 输出到 dist/${name}
+\`\`\`
+`
+}
+
+// ---------- 子书的模板 ----------
+
+function bookReadmeTemplate({ title, summary, label, group }) {
+  return `# ${title}
+
+> ${summary}${label ? ` - ${label}` : ''}
+
+## 📊 书籍信息
+
+| 项目 | 内容 |
+|------|------|
+${label ? `| **层级** | ${label} |\n` : ''}${group ? `| **分组** | ${group} |\n` : ''}
+## 🚀 开始阅读
+
+查看 [目录](book_zh/toc.md)
+`
+}
+
+function bookIndexTemplate({ title, summary, label }) {
+  return `# ${title}${label ? ` (${label})` : ''}
+
+## 书籍概述
+
+${summary}
+
+## 开始学习
+
+查看 [目录](book_zh/toc.md) 开始学习。
+`
+}
+
+function prefaceTemplate({ summary }) {
+  return `# 序言
+
+${summary}
+
+[查看目录大纲 →](toc.md)
+`
+}
+
+function tocTemplate({ title }) {
+  return `# ${title}
+
+- [序言](index.md) <!-- toc:preface -->
+
+---
+
+### 第一部分
+
+1. [第一章](part-1/chapter-1.md)
+`
+}
+
+// ---------- 对已有文件的修改 ----------
+
+/**
+ * 在根目录 package.json 中加入 docs:dev:<name>（紧跟其他 docs:dev:*），并把构建加入 build:books
+ */
+export function addRootScripts(content, { name, packageName }) {
+  const pkg = JSON.parse(content)
+  const entries = Object.entries(pkg.scripts)
+  const devIndex = entries.findLastIndex(([key]) => key.startsWith('docs:dev:'))
+  entries.splice(devIndex + 1, 0, [`docs:dev:${name}`, `pnpm --filter ${packageName} run docs:dev`])
+
+  pkg.scripts = Object.fromEntries(entries.map(([key, value]) => [
+    key,
+    key === 'build:books' ? `${value} && pnpm --filter ${packageName} run docs:build` : value
+  ]))
+  return stringifyJson(pkg)
+}
+
+// ---------- 计划 ----------
+
+/**
+ * 新建书籍 package 的计划
+ * @param {Object} options - { rootDir, manifest, name, title, navText, audience, description }
+ * @returns {Object} { changes: [{ file, action: 'create' | 'update', content, note }], problems, next }
+ */
+export function planPackage({
+  rootDir = ROOT_DIR,
+  manifest = loadManifest(),
+  name,
+  title,
+  navText = title,
+  audience = '待补充',
+  description = title
+}) {
+  const problems = []
+  const packageName = `@codebooks/${name}`
+  const dir = `packages/${name}`
+
+  if (!NAME_PATTERN.test(name)) problems.push(`package 名称 ${name} 只能包含小写字母、数字和 -`)
+  if (name === ROOT_PACKAGE.name || manifest.packages.some(pkg => pkg.name === name)) {
+    problems.push(`shared/books.json 中已有 package ${name}`)
+  }
+  if (fs.existsSync(path.join(rootDir, dir))) problems.push(`${dir} 已存在`)
+  if (!readWorkspaceGlobs(rootDir).includes('packages/*')) {
+    problems.push('pnpm-workspace.yaml 没有包含 packages/*，新 package 不会被发现')
+  }
+
+  // 与其他 package 使用同一个确切的 VitePress 版本（cs130-vue 的搜索索引合并依赖它的内部模块）
+  const rootPackage = readText(rootDir, 'package.json')
+  const vitepress = JSON.parse(rootPackage).devDependencies.vitepress
+
+  const changes = [
+    { file: `${dir}/package.json`, action: 'create', content: packageJsonTemplate({ name, title, vitepress }) },
+    { file: `${dir}/docs/.vitepress/config.js`, action: 'create', content: configTemplate({ name, title, description }) },
+    { file: `${dir}/docs/index.md`, action: 'create', content: packageIndexTemplate({ title, description }) },
+    { file: `${dir}/README.md`, action: 'create', content: packageReadmeTemplate({ name, title, description }) },
+    {
+      file: 'shared/books.json',
+      action: 'update',
+      note: '门户导航与首页、所有书籍页面、开发代理、变化检测与构建缓存',
+      content: stringifyJson({
+        ...manifest,
+        packages: [...manifest.packages, {
+          name,
+          package: packageName,
+          path: `/${name}/`,
+          title,
+          navText,
+          description,
+          audience,
+          highlights: [],
+          books: []
+        }]
+      })
+    },
+    {
+      file: 'package.json',
+      action: 'update',
+      note: `docs:dev:${name}、build:books`,
+      content: addRootScripts(rootPackage, { name, packageName })
+    }
+  ]
+
+  return {
+    changes,
+    problems,
+    next: [
+      'pnpm install（安装新 package 的依赖）',
+      `pnpm docs:dev ${name}（预览）`
+    ]
+  }
+}
+
+/**
+ * 新建子书的计划
+ * @param {Object} options - { rootDir, manifest, packageName: package 目录名, name, title, group, order: 非负整数或其字符串形式, summary }
+ * @returns {Object} { changes, problems, next, commands: [{ cwd, args }] }
+ */
+export function planBook({
+  rootDir = ROOT_DIR,
+  manifest = loadManifest(),
+  packageName,
+  name,
+  title,
+  group = null,
+  order = null,
+  summary = title
+}) {
+  const problems = []
+  const pkg = manifest.packages.find(item => item.name === packageName)
+  if (!pkg || !Array.isArray(pkg.books)) {
+    return { changes: [], problems: [`shared/books.json 中没有声明了 books 的 package ${packageName}`], next: [], commands: [] }
+  }
+
+  const books = [...pkg.books].sort((a, b) => a.order - b.order)
+  const docsDir = `packages/${packageName}/docs`
+  const bookOrder = order === null ? (books.length ? books[books.length - 1].order + 1 : 0) : Number(order)
+  const bookGroup = group ?? books[books.length - 1]?.group ?? pkg.groups?.[0]?.name ?? null
+
+  if (!NAME_PATTERN.test(name)) problems.push(`书籍名称 ${name} 只能包含小写字母、数字和 -`)
+  if (books.some(book => book.name === name)) problems.push(`${packageName} 中已有书籍 ${name}`)
+  if (order !== null && !/^\d+$/.test(String(order))) problems.push(`order 必须是非负整数：${order}`)
+  else if (books.some(book => book.order === bookOrder)) problems.push(`${packageName} 中已有 order 为 ${bookOrder} 的书籍`)
+  if (bookGroup && !(pkg.groups || []).some(item => item.name === bookGroup)) {
+    problems.push(`分组 ${bookGroup} 未在 ${packageName} 的 groups 中声明，可选：${(pkg.groups || []).map(item => item.name).join('、')}`)
+  }
+  if (fs.existsSync(path.join(rootDir, docsDir, name))) problems.push(`${docsDir}/${name} 已存在`)
+
+  const entry = { name, title, ...(bookGroup ? { group: bookGroup } : {}), order: bookOrder, summary }
+  const label = bookLabel(pkg, entry)
+  const context = { title, summary, label, group: bookGroup }
+
+  const changes = [
+    { file: `${docsDir}/${name}/README.md`, action: 'create', content: bookReadmeTemplate(context) },
+    { file: `${docsDir}/${name}/index.md`, action: 'create', content: bookIndexTemplate(context) },
+    { file: `${docsDir}/${name}/book_zh/index.md`, action: 'create', content: prefaceTemplate(context) },
+    { file: `${docsDir}/${name}/book_zh/toc.md`, action: 'create', content: tocTemplate(context) },
+    {
+      file: 'shared/books.json',
+      action: 'update',
+      note: `${packageName} 的导航、sidebar、进度页面与门户汇总`,
+      content: stringifyJson({
+        ...manifest,
+        packages: manifest.packages.map(item => item === pkg ? { ...item, books: [...item.books, entry] } : item)
+      })
+    }
+  ]
+
+  // 有进度脚本的 package（cs130-vue）按 toc.md 生成进度文件
+  const progressScript = path.join(rootDir, 'packages', packageName, 'scripts', 'progress.js')
+  const commands = fs.existsSync(progressScript)
+    ? [{ cwd: path.dirname(path.dirname(progressScript)), args: ['scripts/progress.js', 'generate', name] }]
+    : []
+
+  return {
+    changes,
+    problems,
+    commands,
+    next: [
+      `编辑 ${docsDir}/${name}/book_zh/toc.md 规划章节`,
+      `pnpm docs:dev ${packageName}（预览）`
+    ]
+  }
+}
+
+/**
+ * 按计划写入文件并运行命令
+ */
+export function applyPlan(plan, { rootDir = ROOT_DIR } = {}) {
+  if (plan.problems.length) {
+    throw new Error('新建书籍的计划存在问题，未修改任何文件')
+  }
+  for (const change of plan.changes) {
+    const file = path.join(rootDir, change.file)
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+    fs.writeFileSync(file, change.content)
+  }
+  for (const command of plan.commands || []) {
+    const result = spawnSync(process.execPath, command.args, { cwd: command.cwd, stdio: 'inherit' })
+    if (result.status !== 0) {
+      throw new Error(`运行 ${command.args.join(' ')} 失败`)
+    }
+  }
+}
+
+// 命令行入口
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2)
+  const option = (name) => {
+    const index = args.indexOf(name)
+    return index >= 0 ? args[index + 1] : undefined
+  }
+  const optionValues = new Set(args.filter((arg, index) => index > 0 && args[index - 1].startsWith('--') && args[index - 1] !== '--dry-run'))
+  const [target] = args.filter(arg => !arg.startsWith('--') && !optionValues.has(arg))
+  const title = option('--title')
+
+  if (!target || !title) {
+    console.error('用法：node scripts/new-book.mjs <name> --title <书名> [--nav-text <导航文字>] [--audience <适合人群>] [--description <简介>]')
+    console.error('      node scripts/new-book.mjs <package>/<book> --title <书名> [--group <分组>] [--order <n>] [--summary <简介>]')
+    console.error('      --dry-run 只输出要创建和修改的文件')
+    process.exit(1)
+  }
+
+  const [packageName, bookName] = target.split('/')
+  const plan = bookName
+    ? planBook({
+      packageName,
+      name: bookName,
+      title,
+      group: option('--group'),
+      order: option('--order') ?? null,
+      summary: option('--summary')
+    })
+    : planPackage({
+      name: packageName,
+      title,
+      navText: option('--nav-text'),
+      audience: option('--audience'),
+      description: option('--description')
+    })
+
+  if (plan.problems.length) {
+    for (const problem of plan.problems) console.error(`new-book: error: ${problem}`)
+    console.error('new-book: 未修改任何文件')
+    process.exit(1)
+  }
+
+  for (const change of plan.changes) {
+    console.log(`new-book: ${change.action === 'create' ? '创建' : '修改'} ${change.file}${change.note ? `（${change.note}）` : ''}`)
+  }
+  for (const command of plan.commands || []) {
+    console.log(`new-book: 运行 ${path.relative(ROOT_DIR, command.cwd)}: node ${command.args.join(' ')}`)
+  }
+
+  if (!args.includes('--dry-run')) {
+    applyPlan(plan)
+    console.log('\n下一步：')
+    for (const step of plan.next) console.log(`  ${step}`)
+  }
+}
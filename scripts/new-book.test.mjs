@@ -0,0 +1,140 @@
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { spawnSync } from 'child_process'
+import { ROOT_DIR } from '../shared/books.mjs'
+import { listFiles } from './assemble-dist.mjs'
+
+// 每个测试在 workspace 的临时副本中运行副本里的 new-book.mjs，副本的 shared/books.mjs 以副本为仓库根目录
+const COPIED = [
+  'package.json',
+  'pnpm-workspace.yaml',
+  'shared',
+  'scripts',
+  'packages/book2/package.json',
+  'packages/portal/package.json',
+  'packages/cs130-vue/package.json',
+  'packages/cs130-vue/scripts',
+  'packages/cs130-vue/docs/.vitepress/utils',
+  'packages/cs130-vue/docs/.vitepress/schemas'
+]
+let rootDir
+
+function run(script, ...args) {
+  return spawnSync(process.execPath, [path.join('scripts', script), ...args], { cwd: rootDir, encoding: 'utf-8' })
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(path.join(rootDir, file), 'utf-8'))
+}
+
+// 副本中全部文件的内容
+function snapshot() {
+  return Object.fromEntries(listFiles(rootDir)
+    .filter(file => !file.includes('node_modules'))
+    .map(file => [file, fs.readFileSync(path.join(rootDir, file), 'utf-8')]))
+}
+
+beforeEach(() => {
+  rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'new-book-'))
+  for (const file of COPIED) {
+    fs.cpSync(path.join(ROOT_DIR, file), path.join(rootDir, file), { recursive: true })
+  }
+  // 进度脚本依赖 cs130-vue 的 ajv
+  fs.symlinkSync(path.join(ROOT_DIR, 'packages/cs130-vue/node_modules'), path.join(rootDir, 'packages/cs130-vue/node_modules'), 'dir')
+})
+
+afterEach(() => {
+  fs.rmSync(rootDir, { recursive: true, force: true })
+})
+
+test('新建书籍 package 并登记到清单、根目录脚本、构建计划与独立仓库配置', () => {
+  const result = run('new-book.mjs', 'demo', '--title', '演示书', '--description', '一本演示用的书', '--nav-text', '演示')
+  assert.equal(result.status, 0, result.stderr)
+
+  assert.deepEqual(listFiles(path.join(rootDir, 'packages/demo')), ['README.md', 'docs/.vitepress/config.js', 'docs/index.md', 'package.json'])
+  const pkg = readJson('packages/demo/package.json')
+  assert.equal(pkg.name, '@codebooks/demo')
+  assert.equal(pkg.devDependencies.vitepress, readJson('package.json').devDependencies.vitepress)
+  const config = fs.readFileSync(path.join(rootDir, 'packages/demo/docs/.vitepress/config.js'), 'utf-8')
+  assert.match(config, /base: packageBase\('demo'\)/)
+  assert.match(config, /outDir: '\.\.\/\.\.\/\.\.\/dist\/demo'/)
+
+  const entry = readJson('shared/books.json').packages.at(-1)
+  assert.deepEqual(entry, {
+    name: 'demo',
+    package: '@codebooks/demo',
+    path: '/demo/',
+    title: '演示书',
+    navText: '演示',
+    description: '一本演示用的书',
+    audience: '待补充',
+    highlights: [],
+    books: []
+  })
+
+  const { scripts } = readJson('package.json')
+  assert.equal(scripts['docs:dev:demo'], 'pnpm --filter @codebooks/demo run docs:dev')
+  assert.ok(scripts['build:books'].endsWith('&& pnpm --filter @codebooks/demo run docs:build'))
+  // docs:dev:demo 紧跟在其他 docs:dev:* 之后
+  const keys = Object.keys(scripts)
+  assert.equal(keys[keys.indexOf('docs:dev:demo') - 1].startsWith('docs:dev:'), true)
+
+  // 变化检测与独立仓库配置直接从 workspace 与清单中发现新 package
+  const plan = JSON.parse(run('detect-changes.mjs', '--all').stdout)
+  assert.ok(plan.packages.some(item => item.name === 'demo' && item.build))
+  assert.match(run('setup-git-repos.mjs', 'demo', '--dry-run', '--offline').stdout, /demo（packages\/demo）/)
+})
+
+test('在 cs130-vue 中新建子书，登记到清单并生成进度文件', () => {
+  const before = readJson('shared/books.json').packages.find(item => item.name === 'cs130-vue').books
+  const last = before.reduce((a, b) => (a.order > b.order ? a : b))
+
+  const result = run('new-book.mjs', 'cs130-vue/99-demo', '--title', '演示子书', '--summary', '演示')
+  assert.equal(result.status, 0, result.stderr)
+
+  const bookDir = path.join(rootDir, 'packages/cs130-vue/docs/99-demo')
+  assert.deepEqual(listFiles(bookDir), ['README.md', 'book_zh/demo-progress.json', 'book_zh/index.md', 'book_zh/toc.md', 'index.md'])
+  assert.match(fs.readFileSync(path.join(bookDir, 'book_zh/toc.md'), 'utf-8'), /- \[序言\]\(index\.md\) <!-- toc:preface -->/)
+
+  const books = readJson('shared/books.json').packages.find(item => item.name === 'cs130-vue').books
+  assert.deepEqual(books.slice(0, -1), before)
+  assert.deepEqual(books.at(-1), { name: '99-demo', title: '演示子书', group: last.group, order: last.order + 1, summary: '演示' })
+
+  const progress = JSON.parse(fs.readFileSync(path.join(bookDir, 'book_zh/demo-progress.json'), 'utf-8'))
+  assert.deepEqual(progress.tasks.tasks_todo, ['part-1/chapter-1.md'])
+})
+
+test('无效的 --order、重复的名称或 order 不修改任何文件', () => {
+  const [existing] = readJson('shared/books.json').packages.find(item => item.name === 'cs130-vue').books
+  const before = snapshot()
+
+  for (const [args, message] of [
+    [['cs130-vue/99-demo', '--order', '1.5'], /order 必须是非负整数：1\.5/],
+    [['cs130-vue/99-demo', '--order', '-1'], /order 必须是非负整数：-1/],
+    [['cs130-vue/99-demo', '--order', ''], /order 必须是非负整数：$/m],
+    [['cs130-vue/99-demo', '--order', String(existing.order)], /已有 order 为/],
+    [[`cs130-vue/${existing.name}`], /已有书籍/],
+    [['cs130-vue/99-demo', '--group', '不存在'], /分组 不存在 未在 cs130-vue 的 groups 中声明/],
+    [['portal'], /已有 package portal/],
+    [['Bad_Name'], /只能包含小写字母、数字和 -/]
+  ]) {
+    const result = run('new-book.mjs', ...args, '--title', '演示')
+    assert.equal(result.status, 1, args.join(' '))
+    assert.match(result.stderr, message)
+    assert.match(result.stderr, /未修改任何文件/)
+  }
+
+  assert.deepEqual(snapshot(), before)
+})
+
+test('--dry-run 只输出计划', () => {
+  const before = snapshot()
+  const result = run('new-book.mjs', 'cs130-vue/99-demo', '--title', '演示子书', '--order', '40', '--dry-run')
+  assert.equal(result.status, 0, result.stderr)
+  assert.match(result.stdout, /创建 packages\/cs130-vue\/docs\/99-demo\/book_zh\/toc\.md/)
+  assert.match(result.stdout, /运行 packages\/cs130-vue: node scripts\/progress\.js generate 99-demo/)
+  assert.deepEqual(snapshot(), before)
+})
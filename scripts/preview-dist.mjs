@@ -0,0 +1,133 @@
+import fs from 'fs'
+import http from 'http'
+import path from 'path'
+import { pathToFileURL } from 'url'
+import { ROOT_DIR } from '../shared/books.mjs'
+import { MANIFEST_FILE } from './assemble-dist.mjs'
+import { SITE_BASE } from './site.mjs'
+
+/**
+ * 本地预览组装后的整个站点（门户 + 各书籍 package），与 GitHub Pages 上的访问方式一致：
+ *   /CoderBooks/xxx        依次尝试 xxx、xxx.html、xxx/index.html（目录缺少结尾的 / 时先重定向）
+ *   找不到的路径           返回 dist/404.html，状态码 404
+ *   base 之外的路径        / 重定向到 base，其余 404
+ *
+ *   node scripts/preview-dist.mjs [--port 4173] [--host localhost] [--dist <dir>]
+ */
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8'
+}
+
+/**
+ * 把 base 之下的请求路径解析为 dist 中的文件
+ * @param {string} distDir - dist 目录
+ * @param {string} pathname - base 之后的路径（已解码，以 / 开头）
+ * @returns {Object} { file } | { redirect: 需要补上结尾 / } | { notFound: true }
+ */
+export function resolveFile(distDir, pathname) {
+  const target = path.join(distDir, path.normalize(pathname))
+  // 不允许访问 dist 之外的文件
+  if (target !== distDir && !target.startsWith(distDir + path.sep)) return { notFound: true }
+
+  const isFile = (file) => fs.existsSync(file) && fs.statSync(file).isFile()
+
+  if (isFile(target)) return { file: target }
+  if (fs.existsSync(target) && fs.statSync(target).isDirectory()) {
+    if (!pathname.endsWith('/')) return { redirect: true }
+    const index = path.join(target, 'index.html')
+    return isFile(index) ? { file: index } : { notFound: true }
+  }
+  // 与 cleanUrls 一致：/guide/intro 对应 guide/intro.html
+  if (isFile(`${target}.html`)) return { file: `${target}.html` }
+  return { notFound: true }
+}
+
+/**
+ * 创建预览服务器
+ * @param {string} distDir - 组装后的 dist 目录
+ * @param {Object} options - { base: 站点 base 路径 }
+ * @returns {http.Server}
+ */
+export function createPreviewServer(distDir, { base = SITE_BASE } = {}) {
+  const send = (res, status, file, headers = {}) => {
+    res.writeHead(status, {
+      'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream',
+      ...headers
+    })
+    fs.createReadStream(file).pipe(res)
+  }
+
+  const notFound = (res) => {
+    const page = path.join(distDir, '404.html')
+    if (fs.existsSync(page)) return send(res, 404, page)
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' })
+    res.end('404 Not Found')
+  }
+
+  const redirect = (res, location) => {
+    res.writeHead(301, { Location: location })
+    res.end()
+  }
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost')
+    let pathname
+    try {
+      pathname = decodeURIComponent(url.pathname)
+    } catch {
+      return notFound(res)
+    }
+
+    if (pathname === '/' || pathname === base.replace(/\/$/, '')) {
+      return redirect(res, base + url.search)
+    }
+    if (!pathname.startsWith(base)) return notFound(res)
+
+    const result = resolveFile(distDir, pathname.slice(base.length - 1))
+    if (result.redirect) return redirect(res, `${url.pathname}/${url.search}`)
+    if (result.notFound) return notFound(res)
+    // 带 hash 的资源可以长期缓存，页面每次重新获取
+    const immutable = result.file.includes(`${path.sep}assets${path.sep}`)
+    send(res, 200, result.file, { 'Cache-Control': immutable ? 'max-age=31536000, immutable' : 'no-cache' })
+  })
+}
+
+// 命令行入口
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2)
+  const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`)
+    return index >= 0 ? args[index + 1] : fallback
+  }
+  const distDir = path.resolve(option('dist', path.join(ROOT_DIR, 'dist')))
+  const port = Number(option('port', process.env.PORT || 4173))
+  const host = option('host', 'localhost')
+
+  if (!fs.existsSync(path.join(distDir, 'index.html'))) {
+    console.error(`preview: ${path.relative(process.cwd(), distDir) || '.'} 中没有组装好的站点，先运行 pnpm docs:build`)
+    process.exit(1)
+  }
+  if (!fs.existsSync(path.join(distDir, MANIFEST_FILE))) {
+    console.warn(`preview: 缺少 ${MANIFEST_FILE}，dist/ 可能没有经过 scripts/assemble-dist.mjs 组装`)
+  }
+
+  createPreviewServer(distDir).listen(port, host, () => {
+    console.log(`preview: http://${host}:${port}${SITE_BASE}`)
+  })
+}
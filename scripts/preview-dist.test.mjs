@@ -0,0 +1,105 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { once } from 'events'
+import { resolveFile, createPreviewServer } from './preview-dist.mjs'
+
+const base = '/CoderBooks/'
+let distDir
+let server
+let serverUrl
+
+// 组装后的站点：门户在根目录，书籍在各自的目录下
+const files = {
+  'index.html': 'portal',
+  '404.html': 'not found',
+  'books.html': 'books',
+  'assets/app.js': 'app',
+  'cs130-vue/index.html': 'cs130-vue',
+  'cs130-vue/01-reactive/index.html': '01-reactive',
+  'cs130-vue/01-reactive/book_zh/intro.html': 'intro',
+  'book2/index.html': 'book2'
+}
+
+const request = (pathname, options = {}) => fetch(serverUrl + pathname, { redirect: 'manual', ...options })
+
+before(async () => {
+  distDir = fs.mkdtempSync(path.join(os.tmpdir(), 'preview-dist-'))
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(distDir, file)), { recursive: true })
+    fs.writeFileSync(path.join(distDir, file), content)
+  }
+
+  server = createPreviewServer(distDir, { base })
+  server.listen(0, 'localhost')
+  await once(server, 'listening')
+  serverUrl = `http://localhost:${server.address().port}`
+})
+
+after(() => {
+  server.close()
+  fs.rmSync(distDir, { recursive: true, force: true })
+})
+
+test('把 base 之后的路径解析为文件、目录首页或 .html', () => {
+  const file = (name) => ({ file: path.join(distDir, name) })
+  assert.deepEqual(resolveFile(distDir, '/'), file('index.html'))
+  assert.deepEqual(resolveFile(distDir, '/cs130-vue/01-reactive/'), file('cs130-vue/01-reactive/index.html'))
+  assert.deepEqual(resolveFile(distDir, '/cs130-vue/01-reactive/book_zh/intro'), file('cs130-vue/01-reactive/book_zh/intro.html'))
+  assert.deepEqual(resolveFile(distDir, '/cs130-vue/01-reactive'), { redirect: true })
+  assert.deepEqual(resolveFile(distDir, '/cs130-vue/01-reactive/book_zh/'), { notFound: true })
+  assert.deepEqual(resolveFile(distDir, '/../package.json'), { notFound: true })
+})
+
+test('书籍路径由组装后对应的目录提供', async () => {
+  for (const [pathname, content] of [
+    ['cs130-vue/01-reactive/', '01-reactive'],
+    ['cs130-vue/01-reactive/book_zh/intro.html', 'intro'],
+    ['cs130-vue/01-reactive/book_zh/intro', 'intro'],
+    ['book2/', 'book2'],
+    ['books', 'books'],
+    ['', 'portal']
+  ]) {
+    const res = await request(base + pathname)
+    assert.equal(res.status, 200, pathname)
+    assert.equal(await res.text(), content, pathname)
+  }
+})
+
+test('缺少结尾 / 的目录重定向一次后即可访问，不会循环', async () => {
+  for (const [pathname, location, content] of [
+    [`${base}cs130-vue/01-reactive?q=1`, `${base}cs130-vue/01-reactive/?q=1`, '01-reactive'],
+    [`${base}cs130-vue`, `${base}cs130-vue/`, 'cs130-vue'],
+    [base.slice(0, -1), base, 'portal'],
+    ['/', base, 'portal']
+  ]) {
+    const res = await request(pathname)
+    assert.equal(res.status, 301, pathname)
+    assert.equal(res.headers.get('location'), location)
+
+    const followed = await request(location)
+    assert.equal(followed.status, 200, location)
+    assert.equal(await followed.text(), content)
+  }
+})
+
+test('不存在的路径与 base 之外的路径返回 404 页面', async () => {
+  for (const pathname of [`${base}unknown/`, `${base}cs130-vue/missing.html`, '/other/cs130-vue/', `${base}%2e%2e/%2e%2e/etc/passwd`, `${base}%E0%A4%A`]) {
+    const res = await request(pathname)
+    assert.equal(res.status, 404, pathname)
+    assert.equal(await res.text(), 'not found')
+  }
+})
+
+test('带 hash 的资源长期缓存，页面每次重新获取', async () => {
+  const asset = await request(`${base}assets/app.js`)
+  assert.equal(asset.headers.get('content-type'), 'text/javascript; charset=utf-8')
+  assert.equal(asset.headers.get('cache-control'), 'max-age=31536000, immutable')
+  await asset.text()
+
+  const page = await request(`${base}cs130-vue/`)
+  assert.equal(page.headers.get('cache-control'), 'no-cache')
+  await page.text()
+})
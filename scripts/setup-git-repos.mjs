@@ -0,0 +1,362 @@
+import fs from 'fs'
+import path from 'path'
+import { spawnSync } from 'child_process'
+import { fileURLToPath, pathToFileURL } from 'url'
+import { ROOT_DIR } from '../shared/books.mjs'
+import { ROOT_PACKAGE, listWorkspacePackages } from './site.mjs'
+import { listFiles } from './assemble-dist.mjs'
+
+/**
+ * 为每个 workspace package 配置独立的 Git 仓库，用于单独部署到 GitHub Pages
+ *
+ *   node scripts/setup-git-repos.mjs [package...] [--dry-run] [--org <org>] [--remote <url>] [--force] [--offline]
+ *
+ * 先检查每个 package 的现状并输出计划，再执行；已经符合要求的部分不做改动，可以重复运行：
+ *   仓库   package 目录下没有 .git 时 git init，默认分支为 main
+ *   远程   origin 指向 --remote（默认 git@github.com:{org}/{name}.git），不一致时更新
+ *   文件   由 scripts/templates/ 生成 .github/workflows/deploy.yml 与 .gitignore；
+ *          带有生成标记的文件随模板更新，手写的文件保留（--force 时覆盖）
+ *   共享   docs/ 引用了 shared/ 时，把 shared/ 复制到 package 内的 .monorepo/shared/，随独立仓库提交；
+ *          独立仓库的 workflow 把仓库检出到 packages/<name>/ 并把 .monorepo/ 放回根目录，还原 monorepo 的目录结构后构建
+ *   检查   git ls-remote 确认远程仓库可访问（--offline 跳过）
+ * 引用了 shared/ 之外的 monorepo 文件（如 scripts/）的 package 在独立仓库中无法构建，标记为失败，不做任何改动。
+ * 某个 package 失败时继续处理其他 package，最后以非零状态退出。不会提交或推送。
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const TEMPLATES_DIR = path.join(__dirname, 'templates')
+
+export const DEFAULT_ORG = 'coderbook360'
+export const DEFAULT_REMOTE = 'git@github.com:{org}/{name}.git'
+
+// 生成的文件第一行，据此区分生成的文件与手写的文件
+export const GENERATED_MARKER = '# 由 scripts/setup-git-repos.mjs 生成，重新运行时会按模板更新；手动修改前请删除这一行'
+
+// 生成的文件：package 内的路径与模板
+export const GENERATED_FILES = [
+  { file: '.github/workflows/deploy.yml', template: 'package-deploy.yml' },
+  { file: '.gitignore', template: 'package.gitignore' }
+]
+
+/**
+ * 替换模板中的 %%key%%
+ * @param {string} template - 模板内容
+ * @param {Object} vars - 变量
+ * @returns {string}
+ */
+export function renderTemplate(template, vars) {
+  return template.replace(/%%(\w+)%%/g, (_, key) => {
+    if (!(key in vars)) throw new Error(`模板变量 ${key} 未定义`)
+    return vars[key]
+  })
+}
+
+/**
+ * 在目录中运行 git
+ * @returns {Object} { ok, stdout, stderr }
+ */
+function git(cwd, args, options = {}) {
+  const result = spawnSync('git', args, {
+    cwd,
+    encoding: 'utf-8',
+    // 远程需要认证时直接失败，不等待输入
+    env: { ...process.env, GIT_TERMINAL_PROMPT: '0' },
+    ...options
+  })
+  return { ok: result.status === 0, stdout: (result.stdout || '').trim(), stderr: (result.stderr || result.error?.message || '').trim() }
+}
+
+// package 内存放 monorepo 文件副本的目录，其中的路径与 monorepo 根目录下相同
+export const VENDOR_DIR = '.monorepo'
+
+// 可以复制到独立仓库中的 monorepo 目录（不含测试文件）
+export const VENDORED_DIRS = ['shared/']
+
+// 扫描引用的源文件与跳过的目录；markdown 只扫描 <script> 块
+const SOURCE_EXTENSIONS = ['.js', '.mjs', '.ts', '.mts', '.vue', '.md']
+const SKIPPED_DIRS = ['node_modules', 'cache', 'dist', VENDOR_DIR]
+
+/**
+ * docs/ 中引用了 package 之外文件的 import
+ * @param {string} dir - package 目录
+ * @returns {Array<Object>} [{ file: 引用所在的文件, specifier, target: 引用的绝对路径 }]
+ */
+export function externalImports(dir) {
+  const found = []
+  const walk = (current) => {
+    if (!fs.existsSync(current)) return
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      const file = path.join(current, entry.name)
+      if (entry.isDirectory()) {
+        if (!SKIPPED_DIRS.includes(entry.name)) walk(file)
+        continue
+      }
+      if (!SOURCE_EXTENSIONS.includes(path.extname(entry.name))) continue
+
+      let content = fs.readFileSync(file, 'utf-8')
+      if (entry.name.endsWith('.md')) {
+        content = [...content.matchAll(/<script\b[^>]*>([\s\S]*?)<\/script>/g)].map(match => match[1]).join('\n')
+      }
+      for (const [, specifier] of content.matchAll(/(?:\bfrom|\bimport\s*\(?)\s*['"](\.\.?\/[^'"]+)['"]/g)) {
+        const target = path.resolve(path.dirname(file), specifier)
+        const relative = path.relative(dir, target)
+        if (relative.startsWith('..') || path.isAbsolute(relative)) {
+          found.push({ file: path.relative(dir, file).split(path.sep).join('/'), specifier, target })
+        }
+      }
+    }
+  }
+  walk(path.join(dir, 'docs'))
+  return found
+}
+
+/**
+ * 复制到 package 的 .monorepo/ 中的文件
+ * @param {string} rootDir - 仓库根目录
+ * @returns {Array<string>} 相对仓库根目录的路径
+ */
+function vendoredFiles(rootDir) {
+  return VENDORED_DIRS
+    .filter(dir => fs.existsSync(path.join(rootDir, dir)))
+    .flatMap(dir => listFiles(path.join(rootDir, dir)).map(file => dir + file))
+    .filter(file => !file.endsWith('.test.mjs'))
+}
+
+/**
+ * package 内的 monorepo 文件副本是否需要更新
+ * @returns {Object|null} 步骤，package 没有引用可复制的目录时为 null
+ */
+function planVendor(pkg, rootDir, external) {
+  if (!external.length) return null
+
+  const files = vendoredFiles(rootDir)
+  const vendorDir = path.join(pkg.dir, VENDOR_DIR)
+  const existing = fs.existsSync(vendorDir) ? listFiles(vendorDir) : null
+  const dirs = VENDORED_DIRS.join('、')
+  const message = `${dirs} -> ${VENDOR_DIR}/（${files.length} 个文件）`
+
+  if (existing === null) return { kind: 'vendor', status: 'create', rootDir, files, message: `复制 ${message}` }
+  const same = existing.length === files.length && files.every((file, index) => existing[index] === file &&
+    fs.readFileSync(path.join(vendorDir, file)).equals(fs.readFileSync(path.join(rootDir, file))))
+  return same
+    ? { kind: 'vendor', status: 'ok', message: `${VENDOR_DIR}/ 已是最新` }
+    : { kind: 'vendor', status: 'update', rootDir, files, message: `更新 ${message}` }
+}
+
+/**
+ * 检查远程仓库
+ * @returns {Object} { status: 'ok' | 'warn', message }
+ */
+function checkRemote(dir, url) {
+  const result = git(dir, ['ls-remote', '--heads', url], { timeout: 30000 })
+  if (!result.ok) {
+    return { status: 'warn', message: `无法访问 ${url}，请先创建远程仓库（${result.stderr.split('\n')[0] || '超时'}）` }
+  }
+  return result.stdout.includes('refs/heads/main')
+    ? { status: 'ok', message: '远程仓库已有 main 分支' }
+    : { status: 'ok', message: '远程仓库可访问，尚无 main 分支' }
+}
+
+/**
+ * 计算单个 package 的步骤
+ * @param {Object} pkg - listWorkspacePackages 返回的 package
+ * @param {Object} options - { org, remote, force, offline }
+ * @returns {Array} [{ kind, status: 'create' | 'update' | 'ok' | 'skip' | 'warn' | 'error', message, ... }]
+ */
+function planPackage(pkg, { rootDir, org, remote, force, offline }) {
+  // 独立仓库中只有 package 目录与复制的 shared/，引用其他 monorepo 文件的 package 不可能构建成功
+  const external = externalImports(pkg.dir)
+  const isVendored = ({ target }) => {
+    const file = path.relative(rootDir, target).split(path.sep).join('/')
+    return VENDORED_DIRS.some(dir => file.startsWith(dir)) && fs.existsSync(target)
+  }
+  const unsupported = external.filter(item => !isVendored(item)).map(({ file, specifier }) => `${file} -> ${specifier}`)
+  if (unsupported.length) {
+    return [{
+      kind: 'check',
+      status: 'error',
+      message: `引用了 ${VENDORED_DIRS.join('、')} 之外的 monorepo 文件，独立仓库中无法构建：${unsupported.slice(0, 3).join('，')}` +
+        (unsupported.length > 3 ? ` 等 ${unsupported.length} 处` : '')
+    }]
+  }
+
+  const steps = []
+  const hasRepo = fs.existsSync(path.join(pkg.dir, '.git'))
+  const url = remote.replace(/\{org\}/g, org).replace(/\{name\}/g, pkg.name)
+
+  steps.push(hasRepo
+    ? { kind: 'init', status: 'ok', message: '已是 Git 仓库' }
+    : { kind: 'init', status: 'create', message: 'git init（默认分支 main）' })
+
+  const current = hasRepo ? git(pkg.dir, ['remote', 'get-url', 'origin']) : { ok: false }
+  if (!current.ok) {
+    steps.push({ kind: 'remote', status: 'create', url, message: `添加 origin ${url}` })
+  } else if (current.stdout !== url) {
+    steps.push({ kind: 'remote', status: 'update', url, message: `origin ${current.stdout} -> ${url}` })
+  } else {
+    steps.push({ kind: 'remote', status: 'ok', url, message: `origin ${url}` })
+  }
+
+  const vendor = planVendor(pkg, rootDir, external)
+  if (vendor) steps.push(vendor)
+
+  const vars = { marker: GENERATED_MARKER, name: pkg.name, package: pkg.package, org, vendorDir: VENDOR_DIR }
+  for (const { file, template } of GENERATED_FILES) {
+    const content = renderTemplate(fs.readFileSync(path.join(TEMPLATES_DIR, template), 'utf-8'), vars)
+    const target = path.join(pkg.dir, file)
+    const existing = fs.existsSync(target) ? fs.readFileSync(target, 'utf-8') : null
+
+    if (existing === null) {
+      steps.push({ kind: 'file', status: 'create', file, content, message: `创建 ${file}` })
+    } else if (existing === content) {
+      steps.push({ kind: 'file', status: 'ok', file, message: `${file} 已是最新` })
+    } else if (existing.startsWith(GENERATED_MARKER) || force) {
+      steps.push({ kind: 'file', status: 'update', file, content, message: `按模板更新 ${file}` })
+    } else {
+      steps.push({ kind: 'file', status: 'skip', file, message: `${file} 是手写的文件，保留（--force 覆盖）` })
+    }
+  }
+
+  // 门户汇总所有书籍 package 的 toc 与进度文件，独立仓库中只有门户自己
+  if (pkg.name === ROOT_PACKAGE.name) {
+    steps.push({ kind: 'check', status: 'warn', message: '独立仓库中没有其他 package，门户的书籍章节数与写作进度看板为空' })
+  }
+
+  if (!offline) {
+    steps.push({ kind: 'check', ...checkRemote(pkg.dir, url) })
+  }
+
+  return steps
+}
+
+/**
+ * 检查现状并计算计划，不修改任何文件
+ * @param {Object} options - { rootDir, names: 只处理的 package, org, remote, force, offline }
+ * @returns {Array} [{ name, dir, steps }]
+ */
+export function planSetup({
+  rootDir = ROOT_DIR,
+  names = [],
+  org = DEFAULT_ORG,
+  remote = DEFAULT_REMOTE,
+  force = false,
+  offline = false
+} = {}) {
+  const packages = listWorkspacePackages(rootDir)
+  const unknown = names.filter(name => !packages.some(pkg => pkg.name === name))
+  if (unknown.length) {
+    throw new Error(`workspace 中没有 package：${unknown.join(', ')}，可选：${packages.map(pkg => pkg.name).join(', ')}`)
+  }
+
+  return packages
+    .filter(pkg => !names.length || names.includes(pkg.name))
+    .map(pkg => ({ name: pkg.name, dir: pkg.dir, steps: planPackage(pkg, { rootDir, org, remote, force, offline }) }))
+}
+
+/**
+ * 执行单个步骤
+ */
+function applyStep(dir, step) {
+  const run = (args) => {
+    const result = git(dir, args)
+    if (!result.ok) throw new Error(`git ${args.join(' ')} 失败：${result.stderr}`)
+  }
+
+  if (step.kind === 'init') {
+    run(['init', '--quiet'])
+    run(['symbolic-ref', 'HEAD', 'refs/heads/main'])
+  } else if (step.kind === 'remote') {
+    run(['remote', step.status === 'create' ? 'add' : 'set-url', 'origin', step.url])
+  } else if (step.kind === 'vendor') {
+    const vendorDir = path.join(dir, VENDOR_DIR)
+    fs.rmSync(vendorDir, { recursive: true, force: true })
+    for (const file of step.files) {
+      fs.mkdirSync(path.dirname(path.join(vendorDir, file)), { recursive: true })
+      fs.copyFileSync(path.join(step.rootDir, file), path.join(vendorDir, file))
+    }
+  } else if (step.kind === 'file') {
+    const target = path.join(dir, step.file)
+    fs.mkdirSync(path.dirname(target), { recursive: true })
+    fs.writeFileSync(target, step.content)
+  }
+}
+
+/**
+ * 按计划执行；计划中有错误的 package 不做改动并记为失败，某个 package 失败时继续处理其他 package
+ * @param {Array} plan - planSetup 的结果
+ * @returns {Array} [{ name, applied: 执行的步骤数, error }]
+ */
+export function applySetup(plan) {
+  return plan.map(({ name, dir, steps }) => {
+    const failed = steps.find(step => step.status === 'error')
+    if (failed) return { name, applied: 0, error: failed.message }
+
+    let applied = 0
+    try {
+      for (const step of steps) {
+        if (step.status !== 'create' && step.status !== 'update') continue
+        applyStep(dir, step)
+        applied++
+      }
+      return { name, applied, error: null }
+    } catch (error) {
+      return { name, applied, error: error.message }
+    }
+  })
+}
+
+// 命令行入口
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2)
+  const valueOptions = ['--org', '--remote']
+  const option = (name) => {
+    const index = args.indexOf(name)
+    return index >= 0 ? args[index + 1] : undefined
+  }
+  const names = args.filter((arg, index) => !arg.startsWith('--') && !valueOptions.includes(args[index - 1]))
+  const dryRun = args.includes('--dry-run')
+
+  let plan
+  try {
+    plan = planSetup({
+      names,
+      org: option('--org'),
+      remote: option('--remote'),
+      force: args.includes('--force'),
+      offline: args.includes('--offline')
+    })
+  } catch (error) {
+    console.error(`setup: error: ${error.message}`)
+    process.exit(1)
+  }
+
+  const symbols = { create: '+', update: '~', ok: '=', skip: '-', warn: '!', error: 'x' }
+  for (const { name, dir, steps } of plan) {
+    console.log(`${name}（${path.relative(process.cwd(), dir) || '.'}）`)
+    for (const step of steps) console.log(`  ${symbols[step.status]} ${step.message}`)
+  }
+
+  const blocked = plan.filter(pkg => pkg.steps.some(step => step.status === 'error'))
+  const pending = plan.flatMap(pkg => pkg.steps).filter(step => step.status === 'create' || step.status === 'update')
+  if (dryRun || !pending.length) {
+    console.log(`\nsetup: ${pending.length ? `${pending.length} 项改动（--dry-run，未执行）` : '没有需要执行的改动'}`)
+    if (blocked.length) {
+      console.error(`setup: error: ${blocked.map(pkg => pkg.name).join(', ')} 无法配置为独立仓库`)
+      process.exitCode = 1
+    }
+  } else {
+    const results = applySetup(plan)
+    for (const { name, applied, error } of results) {
+      if (error) console.error(`setup: error: ${name}：${error}（已完成 ${applied} 项）`)
+    }
+    const failed = results.filter(result => result.error)
+    console.log(`\nsetup: 执行了 ${results.reduce((sum, result) => sum + result.applied, 0)} 项改动${failed.length ? `，${failed.length} 个 package 失败` : ''}`)
+    if (failed.length) process.exitCode = 1
+  }
+
+  const ready = plan.filter(pkg => !blocked.includes(pkg))
+  if (ready.length) console.log('\n推送前先在 GitHub 创建对应的仓库，并在 Settings > Pages 中将 Source 设为 GitHub Actions：')
+  for (const { dir } of ready) {
+    console.log(`  cd ${path.relative(process.cwd(), dir)} && git add . && git commit -m 'first commit' && git push -u origin main`)
+  }
+}
@@ -0,0 +1,241 @@
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { spawnSync } from 'child_process'
+import { ROOT_DIR } from '../shared/books.mjs'
+import { listFiles } from './assemble-dist.mjs'
+import { listWorkspacePackages } from './site.mjs'
+import { planSetup, applySetup, renderTemplate, externalImports, GENERATED_MARKER, VENDOR_DIR } from './setup-git-repos.mjs'
+
+// 每个测试使用一个临时的 workspace，远程仓库是 remotes/ 下的本地裸仓库
+let rootDir
+let remote
+
+function git(cwd, ...args) {
+  const result = spawnSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], {
+    cwd,
+    encoding: 'utf-8'
+  })
+  assert.equal(result.status, 0, result.stderr)
+  return result.stdout.trim()
+}
+
+function writeFile(file, content) {
+  fs.mkdirSync(path.dirname(path.join(rootDir, file)), { recursive: true })
+  fs.writeFileSync(path.join(rootDir, file), content)
+}
+
+function addPackage(name, config = 'export default {}\n') {
+  writeFile(`packages/${name}/package.json`, JSON.stringify({ name: `@codebooks/${name}` }))
+  writeFile(`packages/${name}/docs/.vitepress/config.js`, config)
+}
+
+function createRemote(name) {
+  const dir = path.join(rootDir, 'remotes', `${name}.git`)
+  fs.mkdirSync(dir, { recursive: true })
+  git(dir, 'init', '--bare', '--quiet')
+  return dir
+}
+
+function setup(options = {}) {
+  return planSetup({ rootDir, remote, ...options })
+}
+
+// 计划中需要执行的步骤
+function pending(plan) {
+  return plan.flatMap(pkg => pkg.steps
+    .filter(step => step.status === 'create' || step.status === 'update')
+    .map(step => `${pkg.name} ${step.kind} ${step.status}${step.file ? ` ${step.file}` : ''}`))
+}
+
+beforeEach(() => {
+  rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'setup-git-repos-'))
+  remote = path.join(rootDir, 'remotes', '{name}.git')
+  writeFile('pnpm-workspace.yaml', "packages:\n  - 'packages/*'\n")
+  addPackage('alpha')
+  addPackage('beta')
+})
+
+afterEach(() => {
+  fs.rmSync(rootDir, { recursive: true, force: true })
+})
+
+test('从 workspace 中读取 package，计划中不修改任何文件', () => {
+  const plan = setup({ offline: true })
+
+  assert.deepEqual(plan.map(pkg => pkg.name), ['alpha', 'beta'])
+  assert.deepEqual(pending(plan).filter(step => step.startsWith('alpha')), [
+    'alpha init create',
+    'alpha remote create',
+    'alpha file create .github/workflows/deploy.yml',
+    'alpha file create .gitignore'
+  ])
+  assert.equal(fs.existsSync(path.join(rootDir, 'packages/alpha/.git')), false)
+  assert.equal(fs.existsSync(path.join(rootDir, 'packages/alpha/.gitignore')), false)
+})
+
+test('执行后再次运行没有改动', () => {
+  createRemote('alpha')
+  const results = applySetup(setup({ offline: true }))
+  assert.deepEqual(results.map(result => result.error), [null, null])
+
+  const dir = path.join(rootDir, 'packages/alpha')
+  assert.equal(git(dir, 'symbolic-ref', 'HEAD'), 'refs/heads/main')
+  assert.equal(git(dir, 'remote', 'get-url', 'origin'), path.join(rootDir, 'remotes', 'alpha.git'))
+
+  const workflow = fs.readFileSync(path.join(dir, '.github/workflows/deploy.yml'), 'utf-8')
+  assert.ok(workflow.startsWith(GENERATED_MARKER))
+  assert.match(workflow, /--base \/alpha\//)
+
+  assert.deepEqual(pending(setup({ offline: true })), [])
+  assert.deepEqual(applySetup(setup({ offline: true })).map(result => result.applied), [0, 0])
+})
+
+test('检查远程仓库是否可访问以及是否已有 main', () => {
+  createRemote('alpha')
+  applySetup(setup({ names: ['alpha'], offline: true }))
+
+  const check = () => setup({ names: ['alpha'] })[0].steps.at(-1)
+  assert.deepEqual([check().status, check().message], ['ok', '远程仓库可访问，尚无 main 分支'])
+
+  const dir = path.join(rootDir, 'packages/alpha')
+  git(dir, 'add', '.')
+  git(dir, 'commit', '--quiet', '-m', 'first commit')
+  git(dir, 'push', '--quiet', '-u', 'origin', 'main')
+  assert.deepEqual([check().status, check().message], ['ok', '远程仓库已有 main 分支'])
+
+  // beta 的远程仓库不存在
+  const [beta] = setup({ names: ['beta'] })
+  assert.equal(beta.steps.at(-1).status, 'warn')
+})
+
+test('origin 与配置不一致时更新', () => {
+  applySetup(setup({ names: ['alpha'], offline: true }))
+  const dir = path.join(rootDir, 'packages/alpha')
+  git(dir, 'remote', 'set-url', 'origin', 'git@example.com:old/alpha.git')
+
+  const [alpha] = setup({ names: ['alpha'], offline: true })
+  assert.deepEqual(pending([alpha]), ['alpha remote update'])
+
+  applySetup([alpha])
+  assert.equal(git(dir, 'remote', 'get-url', 'origin'), path.join(rootDir, 'remotes', 'alpha.git'))
+})
+
+test('手写的文件默认保留，生成的文件随模板更新', () => {
+  writeFile('packages/alpha/.gitignore', 'node_modules\n')
+  writeFile('packages/alpha/.github/workflows/deploy.yml', `${GENERATED_MARKER}\nname: old\n`)
+
+  const [alpha] = setup({ names: ['alpha'], offline: true })
+  const files = Object.fromEntries(alpha.steps.filter(step => step.kind === 'file').map(step => [step.file, step.status]))
+  assert.deepEqual(files, { '.github/workflows/deploy.yml': 'update', '.gitignore': 'skip' })
+
+  applySetup([alpha])
+  assert.equal(fs.readFileSync(path.join(rootDir, 'packages/alpha/.gitignore'), 'utf-8'), 'node_modules\n')
+
+  const [forced] = setup({ names: ['alpha'], offline: true, force: true })
+  assert.deepEqual(pending([forced]), ['alpha file update .gitignore'])
+})
+
+test('引用了 shared/ 的 package 带上 shared/ 的副本，副本随 shared/ 更新', () => {
+  writeFile('shared/books.mjs', 'export const books = []\n')
+  writeFile('shared/books.json', '{}\n')
+  writeFile('shared/books.test.mjs', '')
+  writeFile('shared/Dashboard.vue', '<template></template>\n')
+  addPackage('gamma', "import { books } from '../../../../shared/books.mjs'\n")
+  writeFile('packages/gamma/docs/progress.md', "<script setup>\nimport Dashboard from '../../../shared/Dashboard.vue'\n</script>\n")
+  // package 内部的引用与章节代码块中的示例不受影响
+  writeFile('packages/alpha/docs/.vitepress/theme/index.js', "import Layout from './Layout.vue'\nimport { nav } from '../utils/nav.js'\n")
+  writeFile('packages/alpha/docs/guide.md', "```js\nimport { x } from '../../../../../x.js'\n```\n")
+
+  const [alpha, gamma] = setup({ names: ['alpha', 'gamma'], offline: true })
+  assert.equal(alpha.steps.some(step => step.kind === 'vendor' || step.status === 'error'), false)
+  assert.deepEqual(pending([gamma]), [
+    'gamma init create',
+    'gamma remote create',
+    'gamma vendor create',
+    'gamma file create .github/workflows/deploy.yml',
+    'gamma file create .gitignore'
+  ])
+
+  applySetup([gamma])
+  const vendorDir = path.join(rootDir, 'packages/gamma', VENDOR_DIR)
+  assert.deepEqual(listFiles(vendorDir), ['shared/Dashboard.vue', 'shared/books.json', 'shared/books.mjs'])
+  assert.deepEqual(pending(setup({ names: ['gamma'], offline: true })), [])
+
+  writeFile('shared/books.json', '{ "packages": [] }\n')
+  const [changed] = setup({ names: ['gamma'], offline: true })
+  assert.deepEqual(pending([changed]), ['gamma vendor update'])
+  applySetup([changed])
+  assert.equal(fs.readFileSync(path.join(vendorDir, 'shared/books.json'), 'utf-8'), '{ "packages": [] }\n')
+})
+
+test('引用了 shared/ 之外的 monorepo 文件的 package 记为失败，不做改动', () => {
+  addPackage('gamma', "import { ROOT_PACKAGE } from '../../../../scripts/site.mjs'\n")
+  // shared/ 中不存在的文件同样无法复制
+  writeFile('packages/gamma/docs/.vitepress/data/books.data.js', "import manifest from '../../../../../shared/books.json'\n")
+
+  const plan = setup({ names: ['alpha', 'gamma'], offline: true })
+  const [, gamma] = plan
+  assert.deepEqual(gamma.steps.map(step => step.status), ['error'])
+  assert.match(gamma.steps[0].message, /config\.js -> \.\.\/\.\.\/\.\.\/\.\.\/scripts\/site\.mjs/)
+  assert.match(gamma.steps[0].message, /data\/books\.data\.js/)
+
+  const results = applySetup(plan)
+  assert.equal(results[0].error, null)
+  assert.match(results[1].error, /无法构建/)
+  assert.equal(fs.existsSync(path.join(rootDir, 'packages/gamma/.git')), false)
+  assert.equal(fs.existsSync(path.join(rootDir, 'packages/gamma/.github')), false)
+})
+
+test('本仓库的每个 package 都可以配置为独立仓库，引用的文件都在副本中', () => {
+  const plan = planSetup({ offline: true })
+  assert.deepEqual(plan.map(pkg => pkg.name).sort(), listWorkspacePackages(ROOT_DIR).map(pkg => pkg.name).sort())
+
+  for (const { name, dir, steps } of plan) {
+    assert.deepEqual(steps.filter(step => step.status === 'error'), [], name)
+
+    // 独立仓库中 package 位于 packages/<name>/，副本放回根目录后每个引用都能找到
+    const vendor = steps.find(step => step.kind === 'vendor')
+    const vendored = new Set(vendor?.files ?? (fs.existsSync(path.join(dir, VENDOR_DIR)) ? listFiles(path.join(dir, VENDOR_DIR)) : []))
+    for (const { file, target } of externalImports(dir)) {
+      assert.ok(vendored.has(path.relative(ROOT_DIR, target).split(path.sep).join('/')), `${name}: ${file} -> ${target}`)
+    }
+  }
+})
+
+test('一个 package 失败时继续处理其他 package', () => {
+  const plan = setup({ offline: true })
+  // 计划之后 alpha 中出现了无效的 .git 文件，git init 会失败
+  writeFile('packages/alpha/.git', 'invalid\n')
+
+  const results = applySetup(plan)
+  assert.ok(results[0].error)
+  assert.equal(results[1].error, null)
+  assert.equal(git(path.join(rootDir, 'packages/beta'), 'symbolic-ref', 'HEAD'), 'refs/heads/main')
+})
+
+test('部署 workflow 上传的目录就是构建的输出目录', () => {
+  const [alpha] = setup({ names: ['alpha'], offline: true })
+  const { content } = alpha.steps.find(step => step.file === '.github/workflows/deploy.yml')
+
+  // vitepress 的 --outDir 相对于 working-directory（检出的 package）解析，上传的路径相对于 $GITHUB_WORKSPACE
+  const workingDir = content.match(/working-directory: (\S+)/)?.[1]
+  const checkoutPath = content.match(/actions\/checkout@\S+\n\s+with:\n\s+path: (\S+)/)?.[1]
+  const outDir = content.match(/vitepress build docs .*--outDir (\S+)/)?.[1]
+  const uploaded = content.match(/upload-pages-artifact@\S+\n\s+with:\n(?:\s+#.*\n)*\s+path: (\S+)/)?.[1]
+  assert.equal(workingDir, 'packages/alpha')
+  assert.equal(checkoutPath, workingDir)
+  assert.equal(outDir, 'docs/.vitepress/dist')
+  assert.equal(uploaded, `${workingDir}/${outDir}`)
+
+  // 独立仓库中没有 lockfile
+  assert.doesNotMatch(content, /cache: pnpm/)
+  assert.doesNotMatch(content, /pnpm install\s*$/m)
+})
+
+test('未知的 package 与模板变量会报错', () => {
+  assert.throws(() => setup({ names: ['missing'], offline: true }), /missing/)
+  assert.throws(() => renderTemplate('%%unknown%%', {}), /unknown/)
+})
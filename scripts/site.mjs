@@ -0,0 +1,89 @@
+import fs from 'fs'
+import path from 'path'
+import { ROOT_DIR, loadManifest, getSite } from '../shared/books.mjs'
+
+/**
+ * 站点结构：部署的 base 路径，以及每个 workspace package 在站点中的位置
+ *   portal 位于站点根目录，书籍 package 位于 shared/books.json 中声明的 path 之下
+ */
+
+// 站点的 base 路径（shared/books.json 中的 site.base，或环境变量 SITE_BASE）
+export const SITE_BASE = getSite().base
+
+// 作为站点根目录的 package
+export const ROOT_PACKAGE = { name: 'portal', package: '@codebooks/portal', path: '/' }
+
+// 所有 package 共同依赖的文件（目录以 / 结尾）：根配置，以及 shared/ 中门户与书籍共用的书籍清单、toc 解析器和进度看板
+export const SHARED_INPUTS = [
+  'package.json',
+  'pnpm-workspace.yaml',
+  'pnpm-lock.yaml',
+  'shared/',
+  'scripts/site.mjs'
+]
+
+/**
+ * 读取 pnpm-workspace.yaml 中的 packages 列表（只支持 `- 'dir/*'` 与 `- 'dir'` 两种写法）
+ * @param {string} rootDir - 仓库根目录
+ * @returns {Array<string>}
+ */
+export function readWorkspaceGlobs(rootDir = ROOT_DIR) {
+  const lines = fs.readFileSync(path.join(rootDir, 'pnpm-workspace.yaml'), 'utf-8').split(/\r?\n/)
+  const globs = []
+  let inPackages = false
+
+  for (const line of lines) {
+    if (/^packages:\s*$/.test(line)) {
+      inPackages = true
+    } else if (inPackages && /^\s+-\s+/.test(line)) {
+      globs.push(line.replace(/^\s+-\s+/, '').replace(/\s+#.*$/, '').replace(/^['"]|['"]$/g, ''))
+    } else if (/^\S/.test(line)) {
+      inPackages = false
+    }
+  }
+
+  return globs
+}
+
+/**
+ * 列出 workspace 中的 package
+ * @param {string} rootDir - 仓库根目录
+ * @returns {Array} [{ name: 目录名, package: package.json 中的 name, dir: 绝对路径, scripts }]
+ */
+export function listWorkspacePackages(rootDir = ROOT_DIR) {
+  const dirs = readWorkspaceGlobs(rootDir).flatMap(glob => {
+    if (!glob.endsWith('/*')) return [path.join(rootDir, glob)]
+    const parent = path.join(rootDir, glob.slice(0, -2))
+    return fs.existsSync(parent)
+      ? fs.readdirSync(parent, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => path.join(parent, entry.name))
+      : []
+  })
+
+  return dirs
+    .filter(dir => fs.existsSync(path.join(dir, 'package.json')))
+    .map(dir => {
+      const { name, scripts = {} } = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf-8'))
+      return { name: path.basename(dir), package: name, dir, scripts }
+    })
+    .sort((a, b) => a.name.localeCompare(b.name))
+}
+
+/**
+ * 站点中的 package：workspace package 与其在站点中的 base 路径
+ *   不在 shared/books.json 中、也不是 portal 的 package 不属于站点
+ * @param {Object} options - { rootDir, manifest }
+ * @returns {Array} [{ name, package, dir, scripts, path, base }]，portal 在最前
+ */
+export function sitePackages({ rootDir = ROOT_DIR, manifest = loadManifest() } = {}) {
+  const paths = new Map([
+    [ROOT_PACKAGE.name, ROOT_PACKAGE.path],
+    ...manifest.packages.map(pkg => [pkg.name, pkg.path])
+  ])
+
+  return listWorkspacePackages(rootDir)
+    .filter(pkg => paths.has(pkg.name))
+    .map(pkg => ({ ...pkg, path: paths.get(pkg.name), base: SITE_BASE + paths.get(pkg.name).slice(1) }))
+    .sort((a, b) => (b.name === ROOT_PACKAGE.name) - (a.name === ROOT_PACKAGE.name))
+}
@@ -0,0 +1,236 @@
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+
+// 仓库根目录与书籍清单文件
+export const ROOT_DIR = path.resolve(__dirname, '..')
+export const MANIFEST_PATH = path.join(__dirname, 'books.json')
+
+// 已读取的清单：文件路径 -> { mtimeMs, size, manifest }
+const manifestCache = new Map()
+
+/**
+ * 读取并校验书籍清单 shared/books.json
+ *   同一进程内只在文件变化后重新读取，返回的对象是共享的，调用方不应修改
+ * @param {string} manifestPath - 清单文件路径
+ * @returns {Object} { packages: [...] }
+ */
+export function loadManifest(manifestPath = MANIFEST_PATH) {
+  const { mtimeMs, size } = fs.statSync(manifestPath)
+  const cached = manifestCache.get(manifestPath)
+  if (cached && cached.mtimeMs === mtimeMs && cached.size === size) {
+    return cached.manifest
+  }
+
+  const manifest = validateManifest(JSON.parse(fs.readFileSync(manifestPath, 'utf-8')), manifestPath)
+  manifestCache.set(manifestPath, { mtimeMs, size, manifest })
+  return manifest
+}
+
+/**
+ * 校验书籍清单的结构
+ * @param {Object} manifest - 清单内容
+ * @param {string} manifestPath - 清单文件路径，用于错误信息
+ * @returns {Object} 校验通过的清单
+ */
+function validateManifest(manifest, manifestPath) {
+
+  if (!Array.isArray(manifest.packages)) {
+    throw new Error(`${manifestPath}: 缺少 packages 数组`)
+  }
+
+  const { domain } = manifest.site || {}
+  if (domain && !/^[a-z0-9.-]+$/i.test(domain)) {
+    throw new Error(`${manifestPath}: site.domain 只填写域名，如 books.example.com`)
+  }
+
+  for (const pkg of manifest.packages) {
+    for (const key of ['name', 'package', 'path', 'title']) {
+      if (!pkg[key]) {
+        throw new Error(`${manifestPath}: package ${pkg.name || '?'} 缺少 ${key}`)
+      }
+    }
+
+    const groups = new Set((pkg.groups || []).map(g => g.name))
+    const bookNames = new Set((pkg.books || []).map(b => b.name))
+    for (const book of pkg.books || []) {
+      if (!book.name || !book.title || typeof book.order !== 'number') {
+        throw new Error(`${manifestPath}: ${pkg.name} 中的书籍需要 name、title 和 order`)
+      }
+      if (book.group && !groups.has(book.group)) {
+        throw new Error(`${manifestPath}: ${pkg.name}/${book.name} 的分组 ${book.group} 未在 groups 中声明`)
+      }
+    }
+
+    for (const learningPath of pkg.learningPaths || []) {
+      const unknown = (learningPath.steps || [])
+        .map(step => step.book)
+        .filter(name => !bookNames.has(name))
+      if (!learningPath.id || unknown.length) {
+        throw new Error(`${manifestPath}: ${pkg.name} 的学习路径 ${learningPath.id || '?'} 无效：${unknown.join(', ') || '缺少 id'}`)
+      }
+      const validChapters = (chapters) => Array.isArray(chapters) && chapters.length > 0 &&
+        chapters.every(chapter => typeof chapter === 'string')
+      const invalid = (learningPath.steps || []).find(step => step.chapters !== undefined && !validChapters(step.chapters))
+      if (invalid) {
+        throw new Error(`${manifestPath}: ${pkg.name} 的学习路径 ${learningPath.id} 中 ${invalid.book} 的 chapters 应为非空的章节路径数组`)
+      }
+    }
+  }
+
+  return manifest
+}
+
+/**
+ * 把 base 路径规范为以 / 开头和结尾的形式，如 'CoderBooks' -> '/CoderBooks/'
+ * @param {string} base - base 路径
+ * @returns {string}
+ */
+export function normalizeBase(base) {
+  const trimmed = base.trim().replace(/^\/+|\/+$/g, '')
+  return trimmed ? `/${trimmed}/` : '/'
+}
+
+/**
+ * 站点的部署位置：所有 package 都部署在 base 之下，门户位于 base，书籍位于 base + package path
+ *   默认取 shared/books.json 中的 site，环境变量 SITE_BASE、SITE_DOMAIN 优先
+ *   部署在自定义域名的根目录时，设置 domain 并把 base 设为 '/'
+ * @param {Object} manifest - 书籍清单
+ * @param {Object} env - 环境变量
+ * @returns {Object} { base, domain: 自定义域名或 null, url: 站点地址或 null }
+ */
+export function getSite(manifest = loadManifest(), env = process.env) {
+  const site = manifest.site || {}
+  const base = normalizeBase(env.SITE_BASE || site.base || '/')
+  const domain = env.SITE_DOMAIN || site.domain || null
+  return { base, domain, url: domain ? `https://${domain}${base}` : null }
+}
+
+/**
+ * package 部署后的 base 路径，如 '/CoderBooks/cs130-vue/'
+ * @param {string} name - package 目录名
+ * @param {Object} manifest - 书籍清单
+ * @returns {string}
+ */
+export function packageBase(name, manifest = loadManifest()) {
+  return getSite(manifest).base + getPackage(name, manifest).path.slice(1)
+}
+
+/**
+ * 获取单个 package 的清单条目
+ * @param {string} name - package 目录名，如 'cs130-vue'
+ * @param {Object} manifest - 书籍清单
+ * @returns {Object} package 条目
+ */
+export function getPackage(name, manifest = loadManifest()) {
+  const pkg = manifest.packages.find(p => p.name === name)
+  if (!pkg) {
+    throw new Error(`书籍清单中没有 package：${name}`)
+  }
+  return pkg
+}
+
+/**
+ * 获取 package 内的书籍列表（按 order 排序）
+ * @param {string} name - package 目录名
+ * @param {Object} manifest - 书籍清单
+ * @returns {Array} [{name, path, title, group, order, ...}]
+ */
+export function getBooks(name, manifest = loadManifest()) {
+  return [...(getPackage(name, manifest).books || [])]
+    .sort((a, b) => a.order - b.order)
+    .map(book => ({ path: `/${book.name}/`, ...book }))
+}
+
+/**
+ * 获取 package 内的书籍分组（按 order 排序，每组带有其书籍）
+ * @param {string} name - package 目录名
+ * @param {Object} manifest - 书籍清单
+ * @returns {Array} [{name, order, books}]
+ */
+export function getGroups(name, manifest = loadManifest()) {
+  const books = getBooks(name, manifest)
+  return [...(getPackage(name, manifest).groups || [])]
+    .sort((a, b) => a.order - b.order)
+    .map(group => ({ ...group, books: books.filter(b => b.group === group.name) }))
+}
+
+/**
+ * 书籍在系列中的编号，如 L4-1；package 未声明 series 时返回 null
+ * @param {Object} pkg - package 条目
+ * @param {Object} book - 书籍条目
+ * @returns {string|null}
+ */
+export function bookLabel(pkg, book) {
+  return pkg.series ? `${pkg.series}-${book.order}` : null
+}
+
+/**
+ * 带系列编号的书名，如 Vue3 响应式系统源码深度解析 (L4-1)
+ * @param {Object} pkg - package 条目
+ * @param {Object} book - 书籍条目
+ * @returns {string}
+ */
+export function displayTitle(pkg, book) {
+  const label = bookLabel(pkg, book)
+  return label ? `${book.title} (${label})` : book.title
+}
+
+/**
+ * 书籍 toc.md 的路径：packages/<package>/docs/<book>/book_zh/toc.md
+ * @param {string} packageName - package 目录名
+ * @param {string} bookName - 书籍目录名
+ * @returns {string}
+ */
+export function bookTocPath(packageName, bookName) {
+  return path.join(ROOT_DIR, 'packages', packageName, 'docs', bookName, 'book_zh', 'toc.md')
+}
+
+/**
+ * 进度文件名：去掉书籍目录的序号前缀，如 01-reactive -> reactive-progress.json
+ * @param {string} bookName - 书籍目录名
+ * @returns {string}
+ */
+export function progressFileName(bookName) {
+  return `${bookName.replace(/^\d+-/, '')}-progress.json`
+}
+
+/**
+ * 分组内书籍的编号范围，如 { first: 'L4-1', last: 'L4-8', from: 1, to: 8 }
+ * @param {Object} pkg - package 条目
+ * @param {Object} group - getGroups 返回的分组（带 books）
+ * @returns {Object|null} package 未声明 series 或分组为空时返回 null
+ */
+export function groupRange(pkg, group) {
+  if (!pkg.series || !group.books.length) return null
+
+  const from = group.books[0].order
+  const to = group.books[group.books.length - 1].order
+  return {
+    from,
+    to,
+    first: bookLabel(pkg, { order: from }),
+    last: bookLabel(pkg, { order: to })
+  }
+}
+
+/**
+ * 获取 package 的学习路径
+ *   steps 为按顺序排列的书籍，可用 chapters 只选取书中的部分章节（toc 中的链接目标）
+ *   duration 为预计时长的说明文字，outcomes 为学习成果
+ * @param {string} name - package 目录名
+ * @param {Object} manifest - 书籍清单
+ * @returns {Array} [{id, title, audience, goal, prerequisites, duration, outcomes, steps: [{book, chapters}], books}]
+ */
+export function getLearningPaths(name, manifest = loadManifest()) {
+  return (getPackage(name, manifest).learningPaths || []).map(learningPath => ({
+    prerequisites: [],
+    duration: '',
+    outcomes: [],
+    ...learningPath,
+    steps: learningPath.steps.map(step => ({ chapters: null, ...step })),
+    books: learningPath.steps.map(step => step.book)
+  }))
+}
@@ -0,0 +1,105 @@
+import fs from 'fs'
+import path from 'path'
+import { ROOT_DIR, getPackage, getBooks, bookLabel, progressFileName } from './books.mjs'
+import { readToc, walkToc } from './tocParser.mjs'
+
+/**
+ * 写作进度看板数据：按书籍和 toc 顶层部分统计章节
+ *   planned    toc 中有链接的章节（不含序言）
+ *   written    章节文件已存在
+ *   completed  进度文件中标记为已完成（没有进度文件时为 null）
+ *   claimed    进度文件中正在写作
+ */
+
+/**
+ * 统计一组章节
+ * @param {Array<string>} targets - 章节链接目标
+ * @param {Function} exists - (target) => boolean
+ * @param {Object|null} progress - 进度文件中的任务集合 { completed, claimed }
+ * @returns {Object} { planned, written, completed, claimed }
+ */
+function countTargets(targets, exists, progress) {
+  return {
+    planned: targets.length,
+    written: targets.filter(exists).length,
+    completed: progress ? targets.filter(target => progress.completed.has(target)).length : null,
+    claimed: progress ? targets.filter(target => progress.claimed.has(target)).length : 0
+  }
+}
+
+/**
+ * 单本书的进度
+ * @param {string} docsDir - 书籍所在 package 的 docs 目录
+ * @param {Object} book - 书籍配置 {name, title, path}
+ * @returns {Object} { name, title, parts: [{ name, planned, written, completed, claimed }], ...合计 }
+ */
+export function buildBookProgress(docsDir, book) {
+  const bookDir = path.join(docsDir, book.name, 'book_zh')
+  const tocPath = path.join(bookDir, 'toc.md')
+  const exists = (target) => fs.existsSync(path.join(bookDir, target))
+
+  const progressFile = path.join(bookDir, progressFileName(book.name))
+  let progress = null
+  if (fs.existsSync(progressFile)) {
+    const { tasks = {} } = JSON.parse(fs.readFileSync(progressFile, 'utf-8'))
+    progress = {
+      completed: new Set(tasks.tasks_completed || []),
+      claimed: new Set([...Object.keys(tasks.claims || {}), tasks.task_in_progress].filter(Boolean))
+    }
+  }
+
+  // 章节按所在的顶层部分分组，不属于任何部分的归入「其他」
+  const groups = new Map()
+  if (fs.existsSync(tocPath)) {
+    walkToc(readToc(tocPath), (node, parents) => {
+      if (node.type !== 'chapter' || !node.target) return
+      if ([...parents, node].some(item => item.role === 'preface')) return
+
+      const part = parents[1]?.type === 'part' ? parents[1].title : '其他'
+      if (!groups.has(part)) groups.set(part, new Set())
+      groups.get(part).add(node.target)
+    })
+  }
+
+  const parts = [...groups].map(([name, targets]) => ({ name, ...countTargets([...targets], exists, progress) }))
+  const all = [...new Set([...groups.values()].flatMap(targets => [...targets]))]
+
+  return {
+    name: book.name,
+    title: book.title,
+    hasProgressFile: Boolean(progress),
+    ...countTargets(all, exists, progress),
+    parts
+  }
+}
+
+/**
+ * 整个系列的进度看板
+ * @param {string} packageName - package 目录名，如 'cs130-vue'
+ * @param {Object} options - { linkPrefix: 书籍链接的前缀，门户中为 package 路径 }
+ * @returns {Object} { title, books, totals }
+ */
+export function buildProgressDashboard(packageName, { linkPrefix = '' } = {}) {
+  const pkg = getPackage(packageName)
+  const docsDir = path.join(ROOT_DIR, 'packages', packageName, 'docs')
+
+  const books = getBooks(packageName).map(book => ({
+    ...buildBookProgress(docsDir, book),
+    label: bookLabel(pkg, book),
+    link: `${linkPrefix.replace(/\/$/, '')}${book.path}`
+  }))
+
+  const sum = (key) => books.reduce((total, book) => total + (book[key] ?? 0), 0)
+
+  return {
+    title: pkg.title,
+    books,
+    totals: {
+      books: books.length,
+      planned: sum('planned'),
+      written: sum('written'),
+      completed: sum('completed'),
+      claimed: sum('claimed')
+    }
+  }
+}
@@ -0,0 +1,364 @@
+import fs from 'fs'
+
+/**
+ * toc.md 语法
+ *
+ *   # 书名                      -> toc.title
+ *   ### 第1部分：基础理论        -> part（depth 1）
+ *   #### 2.1 响应式核心          -> part（depth 2，子部分）
+ *   ##### ...                   -> part（depth 3），依此类推
+ *   1. [标题](design/xxx.md)    -> chapter（有序）
+ *   - [序言](index.md)          -> chapter（无序）
+ *     - [小节](design/yyy.md)   -> 缩进的列表项为上一章节的子章节
+ *   ---                         -> 分隔线，忽略
+ *
+ * 前置与附录条目（role）：
+ *   - [序言](index.md) <!-- toc:preface -->    行尾标记
+ *   ### 附录 <!-- toc:appendix -->               标记整个部分
+ * 或在文件开头的 front matter 中按链接目标或标题声明：
+ *   ---
+ *   preface: [index.md]
+ *   appendix:
+ *     - mini/overview.md
+ *   ---
+ *
+ * 语法树节点均带有 line / column（从 1 开始），用于错误定位；
+ * 传入 diagnostics 收集器时，语法问题会作为带位置的诊断信息上报。
+ */
+
+const HEADING_RE = /^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/
+const ITEM_RE = /^(\s*)(\d+)?([.)]|[-*+])\s+(.*)$/
+const LINK_RE = /^\[(.+?)\]\((.+?)\)/
+const RULE_RE = /^\s*([-*_])(\s*\1){2,}\s*$/
+const ROLE_MARKER_RE = /\s*<!--\s*toc:(preface|appendix)\s*-->\s*/
+
+// 可以声明的条目角色：preface 固定在 sidebar 开头，appendix 固定在末尾
+export const TOC_ROLES = ['preface', 'appendix']
+
+// 标题层级与 part 深度的对应关系：### 为部分，#### 为子部分，更深的标题依次嵌套
+const PART_BASE_LEVEL = 3
+
+// 计算缩进宽度时，tab 按 4 个空格计
+const TAB_WIDTH = 4
+
+/**
+ * 将 toc.md 源码切分为按行的 token
+ * @param {string} source - toc.md 内容
+ * @returns {Array} token 数组 [{kind, line, column, ...}]
+ */
+export function tokenizeToc(source) {
+  const lines = source.split(/\r?\n/)
+  // front matter 只能出现在第一行，且必须闭合，否则第一行按分隔线处理
+  const frontMatterEnd = lines[0]?.trim() === '---'
+    ? lines.findIndex((raw, index) => index > 0 && raw.trim() === '---')
+    : -1
+
+  return lines.map((raw, index) => {
+    const line = index + 1
+
+    if (index <= frontMatterEnd) {
+      return { kind: 'frontmatter', text: raw, line, column: 1 }
+    }
+
+    if (!raw.trim()) {
+      return { kind: 'blank', line, column: 1 }
+    }
+
+    if (RULE_RE.test(raw)) {
+      return { kind: 'rule', line, column: raw.search(/\S/) + 1 }
+    }
+
+    const heading = raw.match(HEADING_RE)
+    if (heading) {
+      return { kind: 'heading', level: heading[1].length, text: heading[2], line, column: 1 }
+    }
+
+    const item = raw.match(ITEM_RE)
+    if (item && (item[2] !== undefined || /^[-*+]$/.test(item[3]))) {
+      const [, indent, number, , text] = item
+      return {
+        kind: 'item',
+        ordered: number !== undefined,
+        number: number !== undefined ? Number(number) : null,
+        indent: indent.replace(/\t/g, ' '.repeat(TAB_WIDTH)).length,
+        text,
+        line,
+        column: indent.length + 1,
+        textColumn: raw.length - text.length + 1
+      }
+    }
+
+    return { kind: 'text', text: raw.trim(), line, column: raw.search(/\S/) + 1 }
+  })
+}
+
+/**
+ * 解析 toc.md 的 front matter（仅支持 key: value、key: [a, b] 与 "- item" 列表）
+ * @param {Array<string>} lines - 两个 --- 之间的行
+ * @returns {Object} front matter 对象
+ */
+export function parseTocFrontMatter(lines) {
+  const data = {}
+  let listKey = null
+
+  for (const raw of lines) {
+    if (!raw.trim() || raw.trim().startsWith('#')) continue
+
+    const listItem = raw.match(/^\s*-\s+(.*)$/)
+    if (listItem && listKey) {
+      data[listKey].push(unquote(listItem[1]))
+      continue
+    }
+
+    const pair = raw.match(/^([\w-]+)\s*:\s*(.*)$/)
+    if (!pair) continue
+
+    const [, key, value] = pair
+    listKey = null
+    if (!value) {
+      data[key] = []
+      listKey = key
+    } else if (value.startsWith('[') && value.endsWith(']')) {
+      data[key] = value.slice(1, -1).split(',').map(unquote).filter(Boolean)
+    } else {
+      data[key] = unquote(value)
+    }
+  }
+
+  return data
+}
+
+function unquote(value) {
+  return value.trim().replace(/^(['"])(.*)\1$/, '$2')
+}
+
+/**
+ * 取出标题或列表项文本中的角色标记
+ * @param {string} text - 原始文本
+ * @returns {Object} { text: 去掉标记后的文本, role }
+ */
+function extractRole(text) {
+  const marker = text.match(ROLE_MARKER_RE)
+  return marker
+    ? { text: text.replace(ROLE_MARKER_RE, ' ').trim(), role: marker[1] }
+    : { text, role: null }
+}
+
+/**
+ * 从列表项文本中解析章节节点
+ * @param {Object} token - item token
+ * @returns {Object} chapter 节点
+ */
+function createChapter(token) {
+  const { text, role } = extractRole(token.text)
+  const link = text.match(LINK_RE)
+  const rawLink = link ? link[2].trim() : null
+
+  return {
+    type: 'chapter',
+    title: link ? link[1].trim() : text.trim(),
+    link: rawLink,
+    // 规范化后的链接目标（去掉锚点），如 design/xxx.md
+    target: rawLink ? rawLink.replace(/#.*$/, '') : null,
+    number: token.number,
+    ordered: token.ordered,
+    role,
+    line: token.line,
+    column: token.column,
+    children: []
+  }
+}
+
+/**
+ * 解析 toc.md 源码为语法树
+ * @param {string} source - toc.md 内容
+ * @param {Object} options - { file: 源文件路径，记录在根节点上, diagnostics: 诊断收集器 }
+ * @returns {Object} { type: 'toc', file, title, children }
+ */
+export function parseToc(source, { file = null, diagnostics = null } = {}) {
+  const report = (severity, code, message, { line, column }) => {
+    diagnostics?.report(severity, code, message, { file, line, column })
+  }
+
+  const root = { type: 'toc', file, title: null, frontMatter: {}, line: 1, column: 1, children: [] }
+  const frontMatterLines = []
+  // stack[0] 为根节点，stack[n] 为 depth n 的 part
+  const stack = [root]
+  // 当前 part 下正在展开的列表项，按缩进由浅到深 [{indent, node}]
+  let listStack = []
+
+  for (const token of tokenizeToc(source)) {
+    if (token.kind === 'frontmatter') {
+      // 首尾的 --- 本身不属于 front matter 内容
+      if (token.text.trim() !== '---') frontMatterLines.push(token.text)
+      continue
+    }
+
+    if (token.kind === 'heading') {
+      if (!token.text) {
+        report('error', 'malformed-heading', '标题内容为空', token)
+        continue
+      }
+
+      if (token.level < PART_BASE_LEVEL) {
+        if (token.level === 1 && root.title === null) {
+          root.title = token.text
+        }
+        continue
+      }
+
+      const depth = token.level - PART_BASE_LEVEL + 1
+      const { text, role } = extractRole(token.text)
+      const part = {
+        type: 'part',
+        depth,
+        title: text,
+        role,
+        line: token.line,
+        column: token.column,
+        children: []
+      }
+      // 子部分只能挂在已有的上级部分下，否则提升为同级
+      const parentDepth = Math.min(depth - 1, stack.length - 1)
+      stack.length = parentDepth + 1
+      stack[parentDepth].children.push(part)
+      stack.push(part)
+      listStack = []
+      continue
+    }
+
+    if (token.kind === 'item') {
+      const chapter = createChapter(token)
+      if (!chapter.link) {
+        report('warning', 'missing-link', `列表项缺少链接：${chapter.title}`, {
+          line: token.line,
+          column: token.textColumn
+        })
+      }
+      // 缩进不超过上一层的列表项回到对应层级
+      while (listStack.length && listStack[listStack.length - 1].indent >= token.indent) {
+        listStack.pop()
+      }
+      const parent = listStack.length
+        ? listStack[listStack.length - 1].node
+        : stack[stack.length - 1]
+      parent.children.push(chapter)
+      listStack.push({ indent: token.indent, node: chapter })
+      continue
+    }
+
+    if (token.kind === 'text') {
+      if (/^#+\S/.test(token.text) || /^#{7,}/.test(token.text)) {
+        report('error', 'malformed-heading', `无法识别的标题（# 后需要空格，最多 6 级）：${token.text}`, token)
+      } else {
+        report('warning', 'unknown-syntax', `无法识别的内容：${token.text}`, token)
+      }
+    }
+  }
+
+  root.frontMatter = parseTocFrontMatter(frontMatterLines)
+  applyFrontMatterRoles(root)
+
+  // 不属于任何部分的章节只允许是序言或附录
+  for (const node of root.children) {
+    if (node.type === 'chapter' && !node.role) {
+      report('warning', 'item-outside-part', `章节不属于任何部分：${node.title}`, node)
+    }
+  }
+
+  return root
+}
+
+/**
+ * 按 front matter 中的 preface / appendix 声明为节点标记角色（行尾标记优先）
+ * @param {Object} tree - 语法树
+ */
+function applyFrontMatterRoles(tree) {
+  const declared = TOC_ROLES.map(role => {
+    const value = tree.frontMatter[role]
+    return [role, new Set(Array.isArray(value) ? value : value ? [value] : [])]
+  })
+
+  walkToc(tree, (node) => {
+    if (node.type === 'toc' || node.role) return
+    for (const [role, keys] of declared) {
+      if (keys.has(node.title) || (node.target && keys.has(node.target))) {
+        node.role = role
+        return
+      }
+    }
+  })
+}
+
+/**
+ * 读取并解析 toc.md 文件
+ * @param {string} tocPath - toc.md 文件的路径
+ * @param {Object} options - { diagnostics: 诊断收集器 }
+ * @returns {Object} 语法树
+ */
+export function readToc(tocPath, { diagnostics = null } = {}) {
+  return parseToc(fs.readFileSync(tocPath, 'utf-8'), { file: tocPath, diagnostics })
+}
+
+/**
+ * 按 toc 顺序深度优先遍历语法树
+ * @param {Object} node - 语法树节点
+ * @param {Function} visitor - (node, parents) => void
+ * @param {Array} parents - 祖先节点（由外到内）
+ */
+export function walkToc(node, visitor, parents = []) {
+  visitor(node, parents)
+  for (const child of node.children || []) {
+    walkToc(child, visitor, [...parents, node])
+  }
+}
+
+/**
+ * 按 toc 顺序列出全部章节节点
+ * @param {Object} tree - 语法树
+ * @returns {Array} [{...chapter, parts: [所属 part 的标题]}]
+ */
+export function flattenChapters(tree) {
+  const chapters = []
+
+  walkToc(tree, (node, parents) => {
+    if (node.type !== 'chapter') return
+    chapters.push({
+      ...node,
+      parts: parents.filter(p => p.type === 'part').map(p => p.title)
+    })
+  })
+
+  return chapters
+}
+
+/**
+ * 统计正文章节数（有链接的章节，不含序言）
+ * @param {Object} tree - 语法树
+ * @returns {number}
+ */
+export function countChapters(tree) {
+  return flattenChapters(tree).filter(c => c.link && c.role !== 'preface').length
+}
+
+/**
+ * 按阅读顺序列出全部章节：preface 在最前，appendix 在最后，与 sidebar 的排列一致
+ * @param {Object} tree - 语法树
+ * @returns {Array} [{...chapter, parts: [所属 part 的标题]}]
+ */
+export function readingOrder(tree) {
+  const buckets = { preface: [], main: [], appendix: [] }
+
+  const visit = (nodes, parts, bucket) => {
+    for (const node of nodes) {
+      const target = node.role ? buckets[node.role] : bucket
+      if (node.type === 'chapter') {
+        target.push({ ...node, parts })
+      }
+      visit(node.children, node.type === 'part' ? [...parts, node.title] : parts, target)
+    }
+  }
+  visit(tree.children, [], buckets.main)
+
+  return [...buckets.preface, ...buckets.main, ...buckets.appendix]
+}
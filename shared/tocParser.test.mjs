@@ -0,0 +1,124 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseToc, flattenChapters, countChapters, readingOrder } from './tocParser.mjs'
+
+// 与 createDiagnostics 接口相同的最小收集器
+function createDiagnostics() {
+  const items = []
+  return { items, report: (severity, code, message, location) => items.push({ severity, code, message, ...location }) }
+}
+
+// 诊断信息只保留代码与位置，便于比较
+function locations(diagnostics) {
+  return diagnostics.items.map(d => `${d.severity} ${d.code} ${d.line}:${d.column}`)
+}
+
+test('标题层级生成嵌套的部分，缩进的列表项成为子章节', () => {
+  const tree = parseToc([
+    '# 书名',
+    '',
+    '### 第1部分：基础',
+    '',
+    '1. [概览](design/overview.md)',
+    '   - [小节](design/overview-detail.md#intro)',
+    '2. [原理](design/principle.md)',
+    '',
+    '#### 1.1 子部分',
+    '',
+    '1. [细节](design/detail.md)',
+    '',
+    '### 第2部分：实现',
+    '',
+    '- [实现](impl/index.md)'
+  ].join('\n'))
+
+  assert.equal(tree.title, '书名')
+  assert.deepEqual(tree.children.map(part => [part.type, part.depth, part.title]), [
+    ['part', 1, '第1部分：基础'],
+    ['part', 1, '第2部分：实现']
+  ])
+
+  const [basics] = tree.children
+  assert.deepEqual(basics.children.map(node => node.title), ['概览', '原理', '1.1 子部分'])
+  assert.deepEqual(basics.children[0].children.map(node => [node.title, node.link, node.target]), [
+    ['小节', 'design/overview-detail.md#intro', 'design/overview-detail.md']
+  ])
+  assert.equal(basics.children[2].depth, 2)
+
+  assert.deepEqual(flattenChapters(tree).map(chapter => [chapter.title, chapter.parts.join(' > ')]), [
+    ['概览', '第1部分：基础'],
+    ['小节', '第1部分：基础'],
+    ['原理', '第1部分：基础'],
+    ['细节', '第1部分：基础 > 1.1 子部分'],
+    ['实现', '第2部分：实现']
+  ])
+})
+
+test('跳级的子部分提升到已有的上级之下', () => {
+  const tree = parseToc('##### 深层\n\n1. [章节](a.md)\n')
+  assert.deepEqual(tree.children.map(part => [part.depth, part.title]), [[3, '深层']])
+  assert.equal(tree.children[0].children[0].target, 'a.md')
+})
+
+test('行尾标记与 front matter 声明序言和附录，阅读顺序与 sidebar 一致', () => {
+  const tree = parseToc([
+    '---',
+    'preface: [index.md]',
+    'appendix:',
+    '  - 术语表',
+    '---',
+    '# 书名',
+    '- [序言](index.md)',
+    '### 附录 <!-- toc:appendix -->',
+    '1. [参考资料](appendix/references.md)',
+    '### 正文',
+    '1. [第一章](chapter1.md)',
+    '- [术语表](glossary.md)',
+    '- [致谢](thanks.md) <!-- toc:preface -->'
+  ].join('\n'))
+
+  assert.deepEqual(tree.frontMatter, { preface: ['index.md'], appendix: ['术语表'] })
+
+  const roles = Object.fromEntries(flattenChapters(tree).map(chapter => [chapter.title, chapter.role]))
+  assert.deepEqual(roles, { 序言: 'preface', 参考资料: null, 第一章: null, 术语表: 'appendix', 致谢: 'preface' })
+  assert.equal(tree.children.find(node => node.title === '附录').role, 'appendix')
+
+  assert.deepEqual(readingOrder(tree).map(chapter => chapter.title), ['序言', '致谢', '第一章', '参考资料', '术语表'])
+  // 序言不计入章节数
+  assert.equal(countChapters(tree), 3)
+})
+
+test('未闭合的 front matter 按分隔线处理', () => {
+  const tree = parseToc('---\n### 部分\n1. [章节](a.md)\n')
+  assert.deepEqual(tree.frontMatter, {})
+  assert.equal(countChapters(tree), 1)
+})
+
+test('语法问题带有行号与列号', () => {
+  const diagnostics = createDiagnostics()
+  parseToc([
+    '# 书名',
+    '- [不属于部分](orphan.md)',
+    '### 部分',
+    '  1. 没有链接的条目',
+    '###缺少空格',
+    '####### 层级过深',
+    '  随便写的文字',
+    '\t- [tab 缩进](tab.md)'
+  ].join('\n'), { file: 'toc.md', diagnostics })
+
+  assert.deepEqual(locations(diagnostics), [
+    'warning missing-link 4:6',
+    'error malformed-heading 5:1',
+    'error malformed-heading 6:1',
+    'warning unknown-syntax 7:3',
+    'warning item-outside-part 2:1'
+  ])
+  assert.ok(diagnostics.items.every(d => d.file === 'toc.md'))
+})
+
+test('空标题报告为格式错误', () => {
+  const diagnostics = createDiagnostics()
+  parseToc('#### \n', { diagnostics })
+  assert.deepEqual(locations(diagnostics), ['error malformed-heading 1:1'])
+})